@@ -0,0 +1,29 @@
+const _ = require("lodash");
+const http = require("../utils/http");
+
+/**
+ * Send request to BitSky through producer's circuit breaker, so requests aren't sent during BitSky outage.
+ * Request body is compressed if `BITSKY_COMPRESSION` is set, request is signed instead of sending security key if `BITSKY_SIGNING` is `true`
+ * @param {object} config - axios request config, see `http`
+ * @param {object} context - producer context
+ *
+ * @returns {Promise} - resolve `{status, data, headers}`, or reject `HTTPError`, `CancelError` or `CircuitOpenError`
+ */
+function bitskyHTTP(config, context) {
+  config.target = "bitsky";
+  if (!config.sign) {
+    config.sign = _.invoke(context, "producer.bitskySigning");
+  }
+  if (config.data !== undefined && !config.compress) {
+    config.compress = _.invoke(context, "producer.bitskyCompression");
+  }
+  const breaker = _.invoke(context, "producer.bitskyCircuitBreaker");
+  if (!breaker) {
+    return http(config, context);
+  }
+  return breaker.exec(() => http(config, context));
+}
+
+module.exports = {
+  bitskyHTTP,
+};
@@ -1,4 +1,4 @@
-const http = require("../utils/http");
+const { bitskyHTTP } = require("./bitsky");
 const constants = require("../utils/constants");
 
 async function getProducerAPI(baseURL, gid, type, securityKey, context) {
@@ -8,7 +8,7 @@ async function getProducerAPI(baseURL, gid, type, securityKey, context) {
     if (securityKey) {
       headers[constants.X_SECURITY_KEY_HEADER] = securityKey;
     }
-    let result = await http(
+    let result = await bitskyHTTP(
       {
         url,
         params: {
@@ -28,7 +28,7 @@ async function getProducerAPI(baseURL, gid, type, securityKey, context) {
 async function updateProducerAPI(baseURL, producer, context) {
   try {
     let url = new URL(`/apis/producers/${producer.globalId}`, baseURL).toString();
-    let result = await http(
+    let result = await bitskyHTTP(
       {
         url,
         method: "PUT",
@@ -32,13 +32,61 @@ function filterTasksSendToRetailer(data) {
   return filterTasks;
 }
 
+/**
+ * Split tasks send to a Retailer into chunks, so each request isn't too large
+ * @param {Array} tasks - tasks belong to a Retailer
+ * @param {object} options
+ * @param {number} options.maxBatchSize - max tasks in a chunk
+ * @param {number} options.maxBatchBytes - max bytes of tasks send to Retailer in a chunk. A task larger than it is sent alone
+ *
+ * @returns {Array} - chunks, `[{tasks, sent, bytes}]`. `sent` is how many tasks are sent to Retailer, FAILED tasks aren't sent but still need to update to BitSky
+ */
+function chunkTasksForRetailer(tasks, options) {
+  const maxBatchSize = _.get(options, "maxBatchSize") || Infinity;
+  const maxBatchBytes = _.get(options, "maxBatchBytes") || Infinity;
+  let chunks = [];
+  let chunk;
+  (tasks || []).forEach((task) => {
+    const data = filterTasksSendToRetailer([task]);
+    // comma between tasks
+    const bytes = data.length ? Buffer.byteLength(JSON.stringify(data[0])) + 1 : 0;
+    if (
+      !chunk ||
+      (data.length &&
+        (chunk.sent + 1 > maxBatchSize ||
+          (chunk.sent && chunk.bytes + bytes > maxBatchBytes)))
+    ) {
+      chunk = { tasks: [], sent: 0, bytes: 2 };
+      chunks.push(chunk);
+    }
+    chunk.tasks.push(task);
+    chunk.sent += data.length;
+    chunk.bytes += bytes;
+  });
+  return chunks;
+}
+
+/**
+ * Send tasks to a Retailer
+ * @param {string} baseURL - Retailer's baseURL
+ * @param {string} method - http method
+ * @param {string} url - callback path
+ * @param {object} headers - http headers
+ * @param {Array} data - tasks
+ * @param {object} context - producer context
+ * @param {object} [requestOptions]
+ * @param {object} [requestOptions.compress] - `{encoding, threshold}`, compress request body, see `http`
+ * @param {object} [requestOptions.sign] - `{key}`, sign request instead of sending key, see `http`
+ * @param {CancelSignal} [requestOptions.signal] - cancel request when it is aborted, like delivery deadline passes
+ */
 async function sendTasksToRetailer(
   baseURL,
   method,
   url,
   headers,
   data,
-  context
+  context,
+  requestOptions
 ) {
   try {
     data = filterTasksSendToRetailer(data);
@@ -49,7 +97,11 @@ async function sendTasksToRetailer(
           method,
           url,
           headers,
-          data: filterTasksSendToRetailer(data),
+          data,
+          target: "retailer",
+          compress: _.get(requestOptions, "compress"),
+          sign: _.get(requestOptions, "sign"),
+          signal: _.get(requestOptions, "signal"),
         },
         context
       );
@@ -64,4 +116,6 @@ async function sendTasksToRetailer(
 
 module.exports = {
   sendTasksToRetailer,
+  filterTasksSendToRetailer,
+  chunkTasksForRetailer,
 };
@@ -1,12 +1,12 @@
 const _ = require("lodash");
 
-const http = require("../utils/http");
+const { bitskyHTTP } = require("./bitsky");
 const constants = require("../utils/constants");
 const { joinURL } = require("../utils");
 
 /**
  * Get Tasks that need to collect from BitSky Server
- * @returns [] - Tasks
+ * @returns {Promise<array>} - resolve tasks, `[]` means no tasks. Reject error if fail to get tasks, so caller can tell idle from broken
  */
 async function getTasksAPI(baseURL, globalId, securityKey, context) {
   let logger = console;
@@ -14,7 +14,7 @@ async function getTasksAPI(baseURL, globalId, securityKey, context) {
     logger = context.logger;
   }
 
-  return new Promise((resolve) => {
+  return new Promise((resolve, reject) => {
     logger.debug("getTasksAPI()");
     try {
       let headers = {};
@@ -25,7 +25,7 @@ async function getTasksAPI(baseURL, globalId, securityKey, context) {
       let url = joinURL(constants.BITSKYMETADATA_PATH, baseURL);
       logger.debug(`getTasks->url: ${url}`);
       // send request
-      http(
+      bitskyHTTP(
         {
           method: constants.BITSKYMETADATA_METHOD,
           url: url,
@@ -44,25 +44,33 @@ async function getTasksAPI(baseURL, globalId, securityKey, context) {
             )}`
           );
 
+          if (!_.isArray(res.data)) {
+            const error = new Error("BitSky returned invalid tasks, it should be an array");
+            error.code = "INVALID_TASKS";
+            error.status = res.status;
+            logger.error(`[getTasks][Fail]. Error: ${error.message}`, {
+              error,
+            });
+            return reject(error);
+          }
           resolve(res.data);
         })
         .catch((err) => {
-          logger.error(`[getTasks][Fail]. Error: ${err.message}`, {
-            error: err,
-          });
-
-          // the reason of return [] is because, normally producer is automatically start and close, no human monitor it
-          // to make sure work flow isn't stopped, so resolve it as []
-          resolve([]);
+          if (err.code === "CIRCUIT_OPEN") {
+            // BitSky is unavailable, don't flood logs
+            logger.debug(`[getTasks][Skip]. ${err.message}`);
+          } else {
+            logger.error(`[getTasks][Fail]. Error: ${err.message}`, {
+              error: err,
+            });
+          }
+          reject(err);
         });
     } catch (err) {
       logger.error(`[getTasks][Fail]. Error: ${err.message}`, {
         error: err,
       });
-
-      // the reason of return [] is because, normally producer is automatically start and close, no human monitor it
-      // to make sure work flow isn't stopped, so resolve it as []
-      resolve([]);
+      reject(err);
     }
   });
 }
@@ -85,7 +93,8 @@ async function updateTasksAPI(
   baseURL,
   securityKey,
   tasks,
-  context
+  context,
+  signal
 ) {
   // Get configurations
   return new Promise((resolve, reject) => {
@@ -96,12 +105,13 @@ async function updateTasksAPI(
     }
     // RESTFul API url that for update tasks
     let url = joinURL(constants.BITSKYMETADATA_PATH, baseURL);
-    http(
+    bitskyHTTP(
       {
         method: constants.BITSKYUPDATE_TASKS_METHOD,
         url,
         headers,
         data: filterTasksSendToBitSky(tasks),
+        signal,
       },
       context
     )
@@ -109,7 +119,6 @@ async function updateTasksAPI(
         resolve(res.data);
       })
       .catch((err) => {
-        //TODO: Need to improve this, if it has error, need to store data and retry
         reject(err);
       });
   });
@@ -118,4 +127,5 @@ async function updateTasksAPI(
 module.exports = {
   getTasksAPI,
   updateTasksAPI,
+  filterTasksSendToBitSky,
 };
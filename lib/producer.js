@@ -1,4 +1,5 @@
 const _ = require("lodash");
+const EventEmitter = require("events");
 const uuid = require("uuid");
 const path = require("path");
 const fs = require("fs-extra");
@@ -7,31 +8,211 @@ const constants = require("./utils/constants");
 const {
   getTasksAPI,
   updateTasksAPI,
+  filterTasksSendToBitSky,
 } = require("./apis/tasks");
-const { sendTasksToRetailer } = require("./apis/retailers");
+const {
+  sendTasksToRetailer,
+  filterTasksSendToRetailer,
+  chunkTasksForRetailer,
+} = require("./apis/retailers");
 const { getProducerAPI } = require("./apis/producers");
 const { httpCrawler } = require("./workers/httpCrawler");
 const { joinURL } = require("./utils");
+const { createTaskPool } = require("./utils/taskPool");
+const { CancelController, CancelError } = require("./utils/cancellation");
+const { getTimeouts } = require("./utils/timeouts");
+const { getPollingPolicy, nextPollingDelay } = require("./utils/polling");
+const { validateMiddleware, applyMiddlewares } = require("./utils/middleware");
+const { Outbox } = require("./utils/outbox");
+const { JobHistory } = require("./utils/jobHistory");
+const {
+  parseRetailerOptions,
+  getRetailerOptions,
+  getRetailerHeaders,
+  getRetailerSigning,
+  getRetailerSecretHeaders,
+} = require("./utils/retailerOptions");
+const {
+  redactSecret,
+  redactConfigs,
+  addRedactedHeaders,
+} = require("./utils/signature");
+const { CircuitBreaker } = require("./utils/circuitBreaker");
 const HTTPError = require("./utils/HTTPError");
 
 const DEFAULT_CONFIGS = {
   BITSKY_BASE_URL: undefined,
   BITSKY_SECURITY_KEY: undefined,
   GLOBAL_ID: undefined,
+  RETAILER_RETRY_MAX_ATTEMPTS: constants.RETAILER_RETRY_MAX_ATTEMPTS,
+  RETAILER_RETRY_DELAY: constants.RETAILER_RETRY_DELAY,
+  RETAILER_RETRY_MAX_DELAY: constants.RETAILER_RETRY_MAX_DELAY,
+  JOB_HISTORY_SIZE: constants.JOB_HISTORY_SIZE,
+  RETAILER_MAX_BATCH_SIZE: constants.RETAILER_MAX_BATCH_SIZE,
+  RETAILER_MAX_BATCH_BYTES: constants.RETAILER_MAX_BATCH_BYTES,
+  RETAILER_OPTIONS: undefined,
+  RETAILER_COMPRESSION: undefined,
+  RETAILER_SIGNING: false,
+  BITSKY_SIGNING: false,
+  BITSKY_COMPRESSION: undefined,
+  COMPRESSION_THRESHOLD: constants.COMPRESSION_THRESHOLD,
+  DELIVERY_MODE: constants.DELIVERY_MODE,
+  DELIVERY_FLUSH_SIZE: constants.DELIVERY_FLUSH_SIZE,
+  DELIVERY_FLUSH_INTERVAL: constants.DELIVERY_FLUSH_INTERVAL,
+  BITSKY_CIRCUIT_FAILURE_THRESHOLD: constants.BITSKY_CIRCUIT_FAILURE_THRESHOLD,
+  BITSKY_CIRCUIT_RESET_TIMEOUT: constants.BITSKY_CIRCUIT_RESET_TIMEOUT,
 };
 
-class Producer {
+const EVENTS = constants.PRODUCER_EVENTS;
+
+// when merge delivery reports of a Retailer, the worst status wins
+const DELIVERY_STATUS_PRIORITY = ["skipped", "delivered", "queued", "failed"];
+
+/**
+ * Merge delivery reports of each flush, so a Retailer has one report in a job
+ * @param {array} reports - delivery reports, see `sendToRetailerAndBitSky`
+ *
+ * @returns {array}
+ */
+function mergeDeliveryReports(reports) {
+  const merged = {};
+  const keys = [];
+  reports.forEach((report) => {
+    const item = merged[report.key];
+    if (!item) {
+      merged[report.key] = _.assign({ flushes: 1 }, report);
+      keys.push(report.key);
+      return;
+    }
+    item.flushes++;
+    item.tasks += report.tasks || 0;
+    item.sent += report.sent || 0;
+    if (report.latency !== undefined) {
+      item.latency = (item.latency || 0) + report.latency;
+    }
+    if (
+      DELIVERY_STATUS_PRIORITY.indexOf(report.status) >
+      DELIVERY_STATUS_PRIORITY.indexOf(item.status)
+    ) {
+      item.status = report.status;
+    }
+    item.error = report.error || item.error;
+    item.chunks = (item.chunks || []).concat(report.chunks || []);
+    if (report.bitsky === "queued" || !item.bitsky) {
+      item.bitsky = report.bitsky;
+    }
+  });
+  return keys.map((key) => merged[key]);
+}
+
+/**
+ * Summarize result of each chunk to delivery report of a Retailer
+ * @param {object} report - delivery report, has `chunks`
+ */
+function summarizeChunks(report) {
+  report.status = "skipped";
+  report.latency = 0;
+  report.chunks.forEach((chunk) => {
+    if (
+      DELIVERY_STATUS_PRIORITY.indexOf(chunk.status) >
+      DELIVERY_STATUS_PRIORITY.indexOf(report.status)
+    ) {
+      report.status = chunk.status;
+    }
+    report.latency += chunk.latency || 0;
+    report.error = report.error || chunk.error;
+    if (chunk.bitsky === "queued" || !report.bitsky) {
+      report.bitsky = chunk.bitsky;
+    }
+  });
+  return report;
+}
+
+/**
+ * @typedef {object} ConfigChangedEvent - `config-changed`, producer configuration get from BitSky was changed
+ * @property {string} globalId - producer global id
+ * @property {object} previous - previous producer configuration
+ * @property {object} current - current producer configuration, **undefined** means cannot get it
+ */
+/**
+ * @typedef {object} PollingEvent - `polling-started` and `polling-stopped`
+ * @property {string} globalId - producer global id
+ * @property {number} [interval] - (Unit: Millisecond) polling interval, only `polling-started` has it
+ */
+/**
+ * @typedef {object} JobStartedEvent - `job-started`, get tasks from BitSky and start to collect them
+ * @property {string} globalId - producer global id
+ * @property {string} jobId - job id
+ * @property {number} tasks - number of tasks
+ * @property {number} startedAt - timestamp
+ */
+/**
+ * @typedef {object} TaskEvent - `task-finished` and `task-failed`
+ * @property {string} globalId - producer global id
+ * @property {string} jobId - job id
+ * @property {object} task - task
+ * @property {string} state - "FINISHED", "FAILED" or "TIMEOUT"
+ */
+/**
+ * @typedef {object} JobEndedEvent - `job-ended`, tasks were sent to Retailers and BitSky
+ * @property {string} globalId - producer global id
+ * @property {string} jobId - job id
+ * @property {number} startedAt - timestamp
+ * @property {number} endedAt - timestamp
+ * @property {number} duration - (Unit: Millisecond)
+ * @property {object} states - number of tasks by state, like `{FINISHED: 10, FAILED: 1}`
+ * @property {array} deliveries - delivery report of each Retailer
+ */
+/**
+ * @typedef {object} RetailerDeliveredEvent - `retailer-delivered`, send tasks to a Retailer, include fail
+ * @property {string} globalId - producer global id
+ * @property {string} jobId - job id, **undefined** if it is replayed from retry queue
+ * @property {object} report - delivery report, see `sendToRetailerAndBitSky`
+ */
+/**
+ * @typedef {object} BitSkyErrorEvent - `bitsky-error`, request to BitSky fail
+ * @property {string} globalId - producer global id
+ * @property {string} api - "getProducer", "getTasks" or "updateTasks"
+ * @property {Error} error - error
+ */
+
+/**
+ * Producer polls tasks from BitSky, collect them by worker, then send to Retailers and BitSky.
+ * It emits lifecycle events, names are in `constants.PRODUCER_EVENTS`
+ * @class
+ */
+class Producer extends EventEmitter {
   constructor(context, configs) {
+    super();
     //================================================================================
     // Producer configurations
     this.__type = constants.HTTP_RETAILER_TYPE; // default type is "service producer"
     this.__worker = httpCrawler; // default worker for this producer is service crawler
+    this.__middlewares = []; // middlewares wrap worker, see `use`
     this.__producerError = null; // error happened when get producer
+    this.__getTasksFailures = 0; // how many times get tasks fail in a row
+    this.__getTasksError = undefined; // last error when get tasks
+    this.__lastBitSkyContactAt = undefined; // last time request to BitSky successful
+    this.__startedAt = undefined; // when producer started, readiness doesn't fail before first contact in `HEALTH_BITSKY_TIMEOUT`
     // how many job ran
     this.__ranJobNumber = 0;
     this.__currentProducerConfig = undefined;
-    this.__watchTasksIntervalHandler = undefined;
+    this.__polling = false; // whether polling tasks
+    this.__pollingHandler = undefined; // timer of next poll
+    this.__pollingSession = 0; // increased when polling stops, so in-flight poll knows it should end
+    this.__nextPollingAt = undefined; // when is next poll
+    this.__idlePolls = 0; // how many polls in a row didn't get tasks or fail
     this.__watchProducerIntervalHandler = undefined;
+    this.__bitskyOutbox = undefined; // store tasks failed to update to BitSky
+    this.__retailerOutbox = undefined; // retry queue of tasks failed to send to Retailer
+    this.__retailerOptions = undefined; // parsed `RETAILER_OPTIONS`
+    this.__lastDeliveryReport = undefined; // delivery report of last job
+    this.__jobHistory = undefined; // summary of latest jobs
+    this.__bitskyCircuitBreaker = undefined; // stop sending requests to BitSky during outage
+    this.__draining = false; // when draining, don't start new job
+    this.__paused = false; // when paused, keep watching producer configuration but don't poll tasks
+    this.__jobEndWaiters = []; // resolved when running job is ended
+    this.__globalId = undefined; // GLOBAL_ID added to event payload, see `__emit`
     this.__runningJob = {
       // current running job
       totalTasks: [], // total tasks that need to collect
@@ -43,6 +224,15 @@ class Producer {
       endingCollectTasksJob: false,
       jobTimeoutHandler: undefined,
       lockJob: false,
+      cancelController: undefined, // abort in-flight work of this job
+      deliveryController: undefined, // abort in-flight delivery when delivery deadline passes, see `limitDelivery`
+      errors: [], // errors of this job, stored in job history
+      // `stream` delivery
+      pendingDelivery: [], // finished tasks waiting to be sent
+      deliveredTasks: {}, // tasks already sent, key is globalId
+      deliveryReports: [], // delivery reports of each flush
+      delivering: Promise.resolve(), // flushes are sent one by one
+      flushHandler: undefined,
     };
     this.__manuallySetConfigs = {
       BITSKY_BASE_URL: undefined,
@@ -66,6 +256,48 @@ class Producer {
       BITSKY_SECURITY_KEY: process.env.BITSKY_SECURITY_KEY,
       PRODUCER_SERIAL_ID: process.env.PRODUCER_SERIAL_ID,
       GLOBAL_ID: process.env.GLOBAL_ID,
+      RETAILER_RETRY_MAX_ATTEMPTS:
+        process.env.RETAILER_RETRY_MAX_ATTEMPTS &&
+        Number(process.env.RETAILER_RETRY_MAX_ATTEMPTS),
+      RETAILER_RETRY_DELAY:
+        process.env.RETAILER_RETRY_DELAY &&
+        Number(process.env.RETAILER_RETRY_DELAY),
+      RETAILER_RETRY_MAX_DELAY:
+        process.env.RETAILER_RETRY_MAX_DELAY &&
+        Number(process.env.RETAILER_RETRY_MAX_DELAY),
+      JOB_HISTORY_SIZE:
+        process.env.JOB_HISTORY_SIZE && Number(process.env.JOB_HISTORY_SIZE),
+      RETAILER_MAX_BATCH_SIZE:
+        process.env.RETAILER_MAX_BATCH_SIZE &&
+        Number(process.env.RETAILER_MAX_BATCH_SIZE),
+      RETAILER_MAX_BATCH_BYTES:
+        process.env.RETAILER_MAX_BATCH_BYTES &&
+        Number(process.env.RETAILER_MAX_BATCH_BYTES),
+      RETAILER_OPTIONS: process.env.RETAILER_OPTIONS,
+      RETAILER_COMPRESSION: process.env.RETAILER_COMPRESSION,
+      RETAILER_SIGNING:
+        process.env.RETAILER_SIGNING &&
+        _.includes(["true", "1"], _.toLower(process.env.RETAILER_SIGNING)),
+      BITSKY_SIGNING:
+        process.env.BITSKY_SIGNING &&
+        _.includes(["true", "1"], _.toLower(process.env.BITSKY_SIGNING)),
+      BITSKY_COMPRESSION: process.env.BITSKY_COMPRESSION,
+      COMPRESSION_THRESHOLD:
+        process.env.COMPRESSION_THRESHOLD &&
+        Number(process.env.COMPRESSION_THRESHOLD),
+      DELIVERY_MODE: process.env.DELIVERY_MODE,
+      DELIVERY_FLUSH_SIZE:
+        process.env.DELIVERY_FLUSH_SIZE &&
+        Number(process.env.DELIVERY_FLUSH_SIZE),
+      DELIVERY_FLUSH_INTERVAL:
+        process.env.DELIVERY_FLUSH_INTERVAL &&
+        Number(process.env.DELIVERY_FLUSH_INTERVAL),
+      BITSKY_CIRCUIT_FAILURE_THRESHOLD:
+        process.env.BITSKY_CIRCUIT_FAILURE_THRESHOLD &&
+        Number(process.env.BITSKY_CIRCUIT_FAILURE_THRESHOLD),
+      BITSKY_CIRCUIT_RESET_TIMEOUT:
+        process.env.BITSKY_CIRCUIT_RESET_TIMEOUT &&
+        Number(process.env.BITSKY_CIRCUIT_RESET_TIMEOUT),
     };
 
     // 1. manually set configs' priority is high than env variables
@@ -121,7 +353,173 @@ class Producer {
   setConfigs(configs) {
     if (configs instanceof Object) {
       this.__manuallySetConfigs = configs;
+      // GLOBAL_ID maybe changed, read it again in next `__emit`
+      this.__globalId = undefined;
+    }
+  }
+
+  /**
+   * Emit an event, listener's error won't break producer
+   * @param {string} event - event name, one of `constants.PRODUCER_EVENTS`
+   * @param {object} payload - event data, `globalId` is added
+   */
+  __emit(event, payload) {
+    if (this.listenerCount(event) === 0) {
+      // nobody listens, don't need to build payload
+      return;
+    }
+    try {
+      if (this.__globalId === undefined) {
+        // `getConfigs` reads preferences.json, only read it once
+        this.__globalId = this.getConfigs().GLOBAL_ID;
+      }
+      // payload isn't cloned, it contains tasks and maybe large
+      this.emit(event, _.assign({ globalId: this.__globalId }, payload));
+    } catch (err) {
+      const logger = _.get(this, "context.logger") || console;
+      logger.error(`Listener of ${event} fail. Error: ${err.message}`, {
+        error: err,
+      });
+    }
+  }
+
+  /**
+   * Get PRODUCER_HOME, the folder to store logs and producer's runtime data
+   * @returns {string}
+   */
+  getProducerHome() {
+    const baseservice = _.get(this, "context.baseservice");
+    let producerHome;
+    if (baseservice) {
+      producerHome = _.get(baseservice.getConfigs(), "PRODUCER_HOME");
+    }
+    // additional producers store runtime data in their own folder
+    return path.join(
+      producerHome || constants.PRODUCER_HOME,
+      _.get(this, "context.producerFolder") || ""
+    );
+  }
+
+  /**
+   * Get job history, it keeps summary of latest `JOB_HISTORY_SIZE` jobs, include after restart
+   * @returns {JobHistory}
+   */
+  jobHistory() {
+    if (!this.__jobHistory) {
+      this.__jobHistory = new JobHistory({
+        dir: path.join(this.getProducerHome(), constants.JOB_HISTORY_FOLDER),
+        maxSize: this.getConfigs().JOB_HISTORY_SIZE,
+        logger: _.get(this, "context.logger") || console,
+      });
+    }
+    return this.__jobHistory;
+  }
+
+  /**
+   * Get circuit breaker of requests send to BitSky. After `BITSKY_CIRCUIT_FAILURE_THRESHOLD` transient errors in a row,
+   * requests aren't sent for `BITSKY_CIRCUIT_RESET_TIMEOUT` seconds, then a trial request decides whether to close it
+   * @returns {CircuitBreaker}
+   */
+  bitskyCircuitBreaker() {
+    if (!this.__bitskyCircuitBreaker) {
+      const configs = this.getConfigs();
+      this.__bitskyCircuitBreaker = new CircuitBreaker({
+        name: "bitsky",
+        failureThreshold: configs.BITSKY_CIRCUIT_FAILURE_THRESHOLD,
+        resetTimeout: configs.BITSKY_CIRCUIT_RESET_TIMEOUT * 1000,
+        logger: _.get(this, "context.logger") || console,
+        onStateChange: (previous, current) => {
+          this.__emit(EVENTS.circuitChanged, { previous, current });
+        },
+      });
+    }
+    return this.__bitskyCircuitBreaker;
+  }
+
+  /**
+   * Get outbox that stores tasks failed to update to BitSky, it replays them until successful
+   * @returns {Outbox}
+   */
+  bitskyOutbox() {
+    if (!this.__bitskyOutbox) {
+      this.__bitskyOutbox = new Outbox({
+        name: "bitsky",
+        dir: path.join(this.getProducerHome(), constants.OUTBOX_FOLDER, "bitsky"),
+        logger: _.get(this, "context.logger") || console,
+        send: async (data) => {
+          const configs = this.getConfigs();
+          try {
+            await updateTasksAPI(
+              data.baseURL || configs.BITSKY_BASE_URL,
+              configs.BITSKY_SECURITY_KEY,
+              data.tasks,
+              this.context
+            );
+          } catch (err) {
+            this.__emit(EVENTS.bitskyError, { api: "updateTasks", error: err });
+            throw err;
+          }
+        },
+      });
     }
+    return this.__bitskyOutbox;
+  }
+
+  /**
+   * Get retry queue of Retailer deliveries. Tasks failed to send to Retailer are retried until successful or run out of attempts,
+   * then they are moved to dead-letter folder, and can be replayed by `/producer/deadletters/:id/replay`
+   * @returns {Outbox}
+   */
+  retailerOutbox() {
+    if (!this.__retailerOutbox) {
+      const configs = this.getConfigs();
+      const producerHome = this.getProducerHome();
+      this.__retailerOutbox = new Outbox({
+        name: "retailers",
+        dir: path.join(producerHome, constants.OUTBOX_FOLDER, "retailers"),
+        deadLetterDir: path.join(
+          producerHome,
+          constants.DEAD_LETTER_FOLDER,
+          "retailers"
+        ),
+        maxAttempts: configs.RETAILER_RETRY_MAX_ATTEMPTS,
+        policy: {
+          delay: configs.RETAILER_RETRY_DELAY * 1000,
+          maxDelay: configs.RETAILER_RETRY_MAX_DELAY * 1000,
+        },
+        logger: _.get(this, "context.logger") || console,
+        send: async (data, entry) => {
+          const startTime = Date.now();
+          await this.deliverToRetailer(data.retailer, data.tasks);
+          this.__emit(EVENTS.retailerDelivered, {
+            report: {
+              retailer: {
+                globalId: _.get(data, "retailer.globalId"),
+                name: _.get(data, "retailer.name"),
+                baseURL: _.get(data, "retailer.baseURL"),
+              },
+              tasks: _.size(data.tasks),
+              sent: filterTasksSendToRetailer(data.tasks).length,
+              status: "delivered",
+              latency: Date.now() - startTime,
+              attempts: entry.attempts,
+            },
+          });
+          await this.updateTasksToBitSky(data.tasks);
+        },
+        onDeadLetter: async (entry) => {
+          // give up, let BitSky know those tasks are failed. Keep dead letter unchanged, so it can be replayed
+          const tasks = this.setDeliverFailed(
+            _.cloneDeep(_.get(entry, "data.tasks") || []),
+            new Error(
+              `Send to Retailer fail after ${entry.attempts} attempts. Last error: ${entry.lastError}`
+            )
+          );
+          await this.updateTasksToBitSky(tasks);
+        },
+      });
+    }
+    return this.__retailerOutbox;
   }
 
   /**
@@ -135,7 +533,7 @@ class Producer {
     try {
       // Get stored producer configuration information, normally need to get BitSky Base URL and Producer Global Id
       logger.debug("getProducerConfiguration->configs: ", {
-        configs,
+        configs: redactConfigs(configs),
       });
       // If Producer Global ID or BitSky Base URL is empty, then return empty producer configuration
       if (!configs.BITSKY_BASE_URL || !configs.GLOBAL_ID) {
@@ -150,7 +548,9 @@ class Producer {
       } else {
         // Get Producer Configuration from server side
         logger.debug(
-          `Get Producer Config from server. BitSky MetadData URL: ${configs.BITSKY_BASE_URL}, Producer Global ID: ${configs.GLOBAL_ID}, Security Key: ${configs.BITSKY_SECURITY_KEY}`
+          `Get Producer Config from server. BitSky MetadData URL: ${configs.BITSKY_BASE_URL}, Producer Global ID: ${configs.GLOBAL_ID}, Security Key: ${redactSecret(
+            configs.BITSKY_SECURITY_KEY
+          )}`
         );
         let producer = await getProducerAPI(
           configs.BITSKY_BASE_URL,
@@ -165,6 +565,19 @@ class Producer {
         return producer;
       }
     } catch (err) {
+      this.__emit(EVENTS.bitskyError, { api: "getProducer", error: err });
+      if (err && err.code === "CIRCUIT_OPEN") {
+        // BitSky is unavailable, keep previous error, don't flood logs
+        logger.debug(`Skip getProducerConfiguration. ${err.message}`);
+        this.__producerError = _.assign({}, this.__producerError, {
+          error: true,
+          code: err.code,
+          message: `BitSky is unavailable, retry after ${new Date(
+            err.nextAttemptAt || Date.now()
+          ).toISOString()}`,
+        });
+        return undefined;
+      }
       logger.error(`Fail getProducerConfiguration. Error: ${err.message}`, {
         error: err,
       });
@@ -181,7 +594,9 @@ class Producer {
         if (err.status === 404) {
           this.__producerError.message = `Cannot find any producer by ${configs.GLOBAL_ID}. Please check your GLOBAL_ID`;
         } else if (err.status === 401) {
-          this.__producerError.message = `Please pass correct BITSKY_SECURITY_KEY. ${configs.BITSKY_SECURITY_KEY} is invalid`;
+          this.__producerError.message = `Please pass correct BITSKY_SECURITY_KEY. ${redactSecret(
+            configs.BITSKY_SECURITY_KEY
+          )} is invalid`;
         } else if (err.status >= 500) {
           this.__producerError.message = `Internal server error`;
         } else if (err.status === 403) {
@@ -196,7 +611,11 @@ class Producer {
           this.__producerError.message = `Internal server error`;
         }
       } else {
-        this.__producerError.message = `Internal server error`;
+        this.__producerError = {
+          error: true,
+          code: _.get(err, "code"),
+          message: `Internal server error`,
+        };
       }
       return undefined;
     }
@@ -238,22 +657,18 @@ class Producer {
           _.get(this.__currentProducerConfig, "system.version")
       ) {
         logger.debug("Producer Configuration was changed, need to re-watchJob");
-        const configs = this.getConfigs();
+        const previous = this.__currentProducerConfig;
         this.__currentProducerConfig = config;
-        // if type or globalId doesn't exist, then means get producer config fail
-        // if get producer config, but type isn't same, then also fail
-        if (
-          !configs.BITSKY_BASE_URL ||
-          !_.get(config, "type") ||
-          !_.get(config, "globalId") ||
-          _.toUpper(_.get(config, "type")) !== _.toUpper(this.__type) ||
-          _.toUpper(_.get(config, "system.state")) !=
-            _.toUpper(constants.RETAILER_STATE.active)
-        ) {
+        // warn invalid timeout values
+        getTimeouts(config, undefined, logger);
+        this.__emit(EVENTS.configChanged, { previous, current: config });
+        if (!this.canCollectTasks(config)) {
           logger.warn(
             "Didn't get producer config from server or get producer type is different with current producer type or current producer isn't active state"
           );
           await this.endPollingGetTasks();
+        } else if (this.__paused) {
+          logger.info("Producer is paused, don't start polling tasks");
         } else {
           await this.startPollingGetTasks();
         }
@@ -278,10 +693,28 @@ class Producer {
   }
 
   /**
-   * Check whether need to collect tasks
+   * Whether this producer can collect tasks with the producer configuration
+   * @param {object} config - producer configuration get from BitSky
    *
    * @returns {boolean}
    */
+  canCollectTasks(config) {
+    // if type or globalId doesn't exist, then means get producer config fail
+    // if get producer config, but type isn't same, then also fail
+    return !(
+      !this.getConfigs().BITSKY_BASE_URL ||
+      !_.get(config, "type") ||
+      !_.get(config, "globalId") ||
+      _.toUpper(_.get(config, "type")) !== _.toUpper(this.__type) ||
+      _.toUpper(_.get(config, "system.state")) !=
+        _.toUpper(constants.RETAILER_STATE.active)
+    );
+  }
+
+  /**
+   * Start polling tasks. Poll again immediately while tasks are returned, back off exponentially when no tasks or fail,
+   * bounds are `minPollingInterval` and `maxPollingInterval` of producer configuration
+   */
   async startPollingGetTasks() {
     const logger = _.get(this, "context.logger") || console;
     logger.debug("startPollingGetTasks()");
@@ -289,44 +722,7 @@ class Producer {
     try {
       // Before start, make sure we already stop previous job;
       await this.endPollingGetTasks();
-      // Producer configuration
-      let producerConfigs = this.__currentProducerConfig;
-      // How frequently check whether need to collect task
-      // TODO: whether this value allow user to configure???, maybe not
-      // Comment: 07/31/2019, to avoid possible performance issue, don't allow user to change the polling interval value
-      let pollingValue =
-        (producerConfigs.pollingInterval ||
-          constants.DEFAULT_RETAILER_CONFIGURATION.pollingInterval) * 1000;
-      // Comment: 04/17/2020, since we don't provide cloud version to customer, so let customer to decide how frequently they want producer to polling
-      // let pollingValue = constants.DEFAULT_RETAILER_CONFIGURATION.pollingInterval * 1000;
-      logger.debug(`polling every ${pollingValue} ms`);
-      clearInterval(this.__watchTasksIntervalHandler);
-      // interval to check new tasks
-      this.__watchTasksIntervalHandler = setInterval(async () => {
-        logger.debug("startPollingGetTasks -> interval");
-        if (!this.__runningJob.jobId && !this.__runningJob.lockJob) {
-          logger.info("No running job!, startCollectTasksJob");
-          // don't have a in-progress job
-          await this.startCollectTasksJob();
-        } else {
-          logger.info(
-            `waiting job id ${_.get(this.__runningJob, "jobId")} finish ......`,
-            { jobId: _.get(this.__runningJob, "jobId") }
-          );
-          // if (
-          //   Date.now() - runningJob.startTime >
-          //   constants.COLLECT_JOB_TIMEOUT
-          // ) {
-          //   logger.warn(
-          //     `Currnet running job is timeout. jobId: ${runningJob.jobId}, startTime: ${runningJob.startTime}`
-          //   );
-          //   await this.endCollectTasksJob();
-          // } else {
-          //   logger.debug("Continue waiting current job to finish");
-          // }
-        }
-      }, pollingValue);
-      //logger.debug('startWatchNewJob -> _intervalHandlerToGetTasks: ', _intervalHandlerToGetTasks);
+      this.beginPolling();
     } catch (err) {
       logger.error(`startPollingGetTasks fail. Error: ${err.message}`, {
         error: err,
@@ -335,6 +731,84 @@ class Producer {
     }
   }
 
+  /**
+   * Start polling loop, running job isn't ended, first poll waits it to finish
+   */
+  beginPolling() {
+    const logger = _.get(this, "context.logger") || console;
+    // Comment: 04/17/2020, since we don't provide cloud version to customer, so let customer to decide how frequently they want producer to polling
+    const policy = getPollingPolicy(this.__currentProducerConfig);
+    logger.debug(
+      `polling every ${policy.minInterval} - ${policy.maxInterval} ms`
+    );
+    this.__polling = true;
+    this.__idlePolls = 0;
+    this.schedulePolling(policy.minInterval);
+    this.__emit(EVENTS.pollingStarted, {
+      interval: policy.interval,
+      minInterval: policy.minInterval,
+      maxInterval: policy.maxInterval,
+    });
+  }
+
+  /**
+   * Schedule next poll
+   * @param {number} delay - (Unit: Millisecond) how long to wait
+   */
+  schedulePolling(delay) {
+    clearTimeout(this.__pollingHandler);
+    this.__pollingHandler = setTimeout(() => {
+      this.__pollingHandler = undefined;
+      this.pollTasks();
+    }, delay);
+    this.__nextPollingAt = Date.now() + delay;
+  }
+
+  /**
+   * Poll tasks once, wait the job to finish, then schedule next poll based on the result
+   */
+  async pollTasks() {
+    const logger = _.get(this, "context.logger") || console;
+    logger.debug("startPollingGetTasks -> poll");
+    // polling maybe stopped and started again during this poll, then this loop should end
+    const session = this.__pollingSession;
+    let result = "skipped";
+    try {
+      if (!this.__runningJob.jobId && !this.__runningJob.lockJob) {
+        logger.info("No running job!, startCollectTasksJob");
+        // don't have a in-progress job
+        result = await this.startCollectTasksJob();
+      } else {
+        logger.info(
+          `waiting job id ${_.get(this.__runningJob, "jobId")} finish ......`,
+          { jobId: _.get(this.__runningJob, "jobId") }
+        );
+      }
+      // tasks are delivered when job ends, poll next batch after that
+      await this.waitForJobEnd(
+        getTimeouts(this.__currentProducerConfig).jobTimeout +
+          constants.JOB_STUCK_GRACE_PERIOD
+      );
+    } catch (err) {
+      logger.error(`poll tasks fail. Error: ${err.message}`, { error: err });
+      result = "error";
+    }
+    if (!this.__polling || session !== this.__pollingSession) {
+      return;
+    }
+    if (result === "empty" || result === "error") {
+      this.__idlePolls++;
+    } else {
+      this.__idlePolls = 0;
+    }
+    const delay = nextPollingDelay(
+      this.__idlePolls,
+      getPollingPolicy(this.__currentProducerConfig)
+    );
+    logger.debug(`next poll after ${delay} ms`);
+    this.schedulePolling(delay);
+  }
+
   /**
    * Stop polling to get tasks
    */
@@ -342,9 +816,7 @@ class Producer {
     const logger = _.get(this, "context.logger") || console;
     try {
       logger.debug("endPollingGetTasks()");
-      // Clear intervalHandler
-      clearInterval(this.__watchTasksIntervalHandler);
-      this.__watchTasksIntervalHandler = null;
+      this.clearPollingInterval();
       // Also need to endCollectTasksJob
       await this.endCollectTasksJob();
       logger.info(
@@ -365,6 +837,22 @@ class Producer {
     }
   }
 
+  /**
+   * Stop polling tasks, but don't end running job
+   */
+  clearPollingInterval() {
+    const polling = !!this.__polling;
+    this.__polling = false;
+    // end in-flight poll
+    this.__pollingSession++;
+    clearTimeout(this.__pollingHandler);
+    this.__pollingHandler = undefined;
+    this.__nextPollingAt = undefined;
+    if (polling) {
+      this.__emit(EVENTS.pollingStopped, {});
+    }
+  }
+
   /**
    * Update task's state and endAt time
    * @param {object} task - intellignece you want to update
@@ -373,7 +861,7 @@ class Producer {
    */
   setTaskState(task, state, reason) {
     _.set(task, "system.state", _.toUpper(state));
-    if (_.get(task, "system.producer.endedAt")) {
+    if (!_.get(task, "system.producer.endedAt")) {
       // if producer didn't set endedAt, then set to current timestamp
       _.set(task, "system.producer.endedAt", Date.now());
     }
@@ -392,13 +880,166 @@ class Producer {
     return task;
   }
 
+  /**
+   * Record a settled task to running job. Each task is recorded once it settled, so when job timeout, tasks already collected are kept
+   * @param {string} jobId - the job this task belongs to
+   * @param {object} task - task resolved or rejected by worker
+   * @param {string} state - "FINISHED", "FAILED" or "TIMEOUT"
+   */
+  recordCollectedTask(jobId, task, state) {
+    const logger = _.get(this, "context.logger") || console;
+    if (jobId !== this.__runningJob.jobId || this.__runningJob.jobTimeout) {
+      // job already ended or timeout, result is too late
+      logger.debug(
+        `Task ${_.get(task, "globalId")} settled after job ${jobId} ended, skip it`,
+        { jobId }
+      );
+      return;
+    }
+    if (!_.get(task, "globalId")) {
+      // if didn't return globalId, then skip it
+      logger.debug(
+        "Skip this task. You need to resolve(task) or reject(intelligen), return the task back"
+      );
+      return;
+    }
+    if (this.__runningJob.collectedTasksDict[task.globalId]) {
+      return;
+    }
+    this.__runningJob.collectedTasksDict[task.globalId] = this.setTaskState(
+      task,
+      state
+    );
+    // increase collected tasks
+    this.__runningJob.collectedTasksNumber++;
+    this.__emitTaskEvent(task);
+    if (this.streamDelivery()) {
+      this.queueDelivery(task);
+    }
+  }
+
+  /**
+   * Whether finished tasks are sent in micro-batches while job is running, `DELIVERY_MODE` is `stream`
+   * @returns {boolean}
+   */
+  streamDelivery() {
+    return _.toLower(this.getConfigs().DELIVERY_MODE) === "stream";
+  }
+
+  /**
+   * Queue a finished task to send in next flush. Flush when `DELIVERY_FLUSH_SIZE` tasks are queued,
+   * or `DELIVERY_FLUSH_INTERVAL` seconds after the first one is queued
+   * @param {object} task - finished task
+   */
+  queueDelivery(task) {
+    const configs = this.getConfigs();
+    this.__runningJob.pendingDelivery.push(task);
+    if (this.__runningJob.pendingDelivery.length >= configs.DELIVERY_FLUSH_SIZE) {
+      this.flushDelivery();
+    } else if (!this.__runningJob.flushHandler) {
+      this.__runningJob.flushHandler = setTimeout(() => {
+        this.__runningJob.flushHandler = undefined;
+        this.flushDelivery();
+      }, configs.DELIVERY_FLUSH_INTERVAL * 1000);
+    }
+  }
+
+  /**
+   * Send queued tasks to Retailers and BitSky. Flushes are sent one by one
+   *
+   * @returns {Promise} - resolved when this flush and flushes before it are sent
+   */
+  flushDelivery() {
+    const logger = _.get(this, "context.logger") || console;
+    clearTimeout(this.__runningJob.flushHandler);
+    this.__runningJob.flushHandler = undefined;
+    const tasks = this.__runningJob.pendingDelivery;
+    if (!tasks.length) {
+      return this.__runningJob.delivering;
+    }
+    const jobId = this.__runningJob.jobId;
+    this.__runningJob.pendingDelivery = [];
+    tasks.forEach((task) => {
+      this.__runningJob.deliveredTasks[task.globalId] = true;
+    });
+    logger.info(`[Delivery] flush ${tasks.length} tasks`, { jobId });
+    this.__runningJob.delivering = this.__runningJob.delivering.then(
+      async () => {
+        try {
+          const reports = await this.sendToRetailerAndBitSky(tasks);
+          if (jobId === this.__runningJob.jobId) {
+            this.__runningJob.deliveryReports = this.__runningJob.deliveryReports.concat(
+              reports
+            );
+          }
+        } catch (err) {
+          logger.error(
+            `[flushDelivery] shouldn't fail, something really bad happened! error: ${err.message}`,
+            { jobId, error: err }
+          );
+          if (jobId === this.__runningJob.jobId) {
+            this.recordJobError(err);
+          }
+        }
+      }
+    );
+    return this.__runningJob.delivering;
+  }
+
+  /**
+   * Emit `task-finished` or `task-failed` based on task's state
+   * @param {object} task - collected task
+   */
+  __emitTaskEvent(task) {
+    const state = _.toUpper(_.get(task, "system.state"));
+    this.__emit(
+      state === "FINISHED" ? EVENTS.taskFinished : EVENTS.taskFailed,
+      { jobId: this.jobId(), task, state }
+    );
+  }
+
+  /**
+   * Cancel running job, stop in-flight work, and set tasks still pending to `state`. Collected tasks keep their result.
+   * After cancel, call `endCollectTasksJob` to send collected tasks
+   * @param {string} state - state of pending tasks, like "TIMEOUT" or "FAILED"
+   * @param {CancelError} reason - why cancel
+   */
+  cancelRunningJob(state, reason) {
+    this.recordJobError(reason);
+    // results settled after this are ignored
+    this.__runningJob.jobTimeout = true;
+    // stop in-flight work, release sockets and memory
+    if (this.__runningJob.cancelController) {
+      this.__runningJob.cancelController.abort(reason);
+    }
+    this.__runningJob.totalTasks.forEach((task) => {
+      if (this.__runningJob.collectedTasksDict[task.globalId]) {
+        return;
+      }
+      // clone it, worker maybe still change this task
+      this.__runningJob.collectedTasksDict[task.globalId] = this.setTaskState(
+        _.cloneDeep(task),
+        state,
+        reason.message
+      );
+      // increase collected tasks
+      this.__runningJob.collectedTasksNumber++;
+      this.__emitTaskEvent(this.__runningJob.collectedTasksDict[task.globalId]);
+    });
+  }
+
   /**
    * Start collect tasks
-   * @param {array} tasks - tasks that need to be collected
+   *
+   * @returns {Promise<string>} - `"tasks"` means got tasks and collected them, `"empty"` means no tasks, `"error"` means fail, `"skipped"` means a job is running or producer is draining
    */
   async startCollectTasksJob() {
     const logger = _.get(this, "context.logger") || console;
     try {
+      if (this.__draining) {
+        logger.debug("Producer is draining, don't start new job");
+        return "skipped";
+      }
       // if this.__runningJob.jobId isn't undefined, then means previous job isn't finish
       if (
         this.__runningJob.jobId ||
@@ -412,21 +1053,50 @@ class Producer {
           )} is still running`,
           { jobId: this.__runningJob.jobId }
         );
-        return true;
+        return "skipped";
       }
 
       // start collectTasksJob lockJob need to excute ASAP
       this.initRunningJob();
+      const jobId = this.__runningJob.jobId;
       logger.info(`<<<<<<Start job: ${this.__runningJob.jobId}`, {
         jobId: this.__runningJob.jobId,
       });
       const configs = this.getConfigs();
-      let tasks = await getTasksAPI(
-        configs.BITSKY_BASE_URL,
-        configs.GLOBAL_ID,
-        configs.BITSKY_SECURITY_KEY,
-        this.context
-      );
+      let tasks;
+      try {
+        tasks = await getTasksAPI(
+          configs.BITSKY_BASE_URL,
+          configs.GLOBAL_ID,
+          configs.BITSKY_SECURITY_KEY,
+          this.context
+        );
+        this.recordGetTasksResult();
+      } catch (err) {
+        this.recordGetTasksResult(err);
+        logger.warn(
+          `>>>>>> End job: ${jobId} because get tasks fail ${this.__getTasksFailures} times in a row. Error: ${err.message}`,
+          { jobId }
+        );
+        if (jobId === this.__runningJob.jobId) {
+          this.resetRunningJob();
+        }
+        return "error";
+      }
+      if (jobId !== this.__runningJob.jobId) {
+        // job was ended during get tasks, like producer is stopped. Let BitSky know those tasks aren't collected
+        if (tasks && tasks.length) {
+          logger.warn(
+            `Job ${jobId} was ended before start collect, set ${tasks.length} tasks to FAILED`,
+            { jobId }
+          );
+          tasks.forEach((task) =>
+            this.setTaskState(task, "FAILED", "Producer stopped before collect this task")
+          );
+          await this.updateTasksToBitSky(tasks);
+        }
+        return "skipped";
+      }
       logger.info(`tasks: ${tasks.length}`, {
         jobId: this.__runningJob.jobId,
       });
@@ -437,14 +1107,15 @@ class Producer {
           `>>>>>> End job: ${this.__runningJob.jobId} because not tasks`,
           { jobId: this.__runningJob.jobId }
         );
-        await this.__worker({
+        // same worker as collecting tasks, so middlewares see it too
+        await applyMiddlewares(this.__worker, this.__middlewares)({
           tasks: [],
           jobId: this.__runningJob.jobId,
           producerConfig: this.__currentProducerConfig,
           context: this.context,
         });
         this.resetRunningJob();
-        return true;
+        return "empty";
       }
       this.__ranJobNumber++;
       logger.info(`[[[[[[ Job Number: ${this.__ranJobNumber} ]]]]]]`, {
@@ -453,20 +1124,42 @@ class Producer {
 
       // set total tasks that need to collect
       this.__runningJob.totalTasks = tasks;
+      this.__emit(EVENTS.jobStarted, {
+        jobId,
+        tasks: tasks.length,
+        startedAt: this.__runningJob.startTime,
+      });
 
       // Make sure you set worker before
-      let promises = await this.__worker({
+      let promises = await applyMiddlewares(this.__worker, this.__middlewares)({
         tasks,
         jobId: this.__runningJob.jobId,
         producerConfig: this.__currentProducerConfig,
         context: this.context,
+        // limit how many tasks are collected at the same time, based on `concurrent`
+        taskPool: createTaskPool(this.__currentProducerConfig),
+        // aborted when job timeout, worker should stop in-flight work
+        signal: this.__runningJob.cancelController.signal,
       });
+      // record each task once it settled
+      promises = (promises || []).map((promise) =>
+        Promise.resolve(promise).then(
+          (task) => this.recordCollectedTask(jobId, task, "FINISHED"),
+          (task) =>
+            this.recordCollectedTask(
+              jobId,
+              task,
+              // middleware's onError can classify failed task as TIMEOUT
+              _.toUpper(_.get(task, "system.state")) === "TIMEOUT"
+                ? "TIMEOUT"
+                : "FAILED"
+            )
+        )
+      );
       // whether currently job timeout
       clearTimeout(this.__runningJob.jobTimeoutHandler);
       this.__runningJob.jobTimeoutHandler = setTimeout(() => {
         // job timeout
-        this.__runningJob.jobTimeout = true;
-        // when timeout, all tasks will timeout
         logger.info(
           `job id ${this.__runningJob.jobId} timeout, startTime is ${this.__runningJob.startTime}`,
           {
@@ -474,27 +1167,16 @@ class Producer {
           }
         );
         this.__runningJob.jobTimeoutHandler = undefined;
-        // set all tasks to timeout
-        this.__runningJob.totalTasks.forEach((task) => {
-          // set task to "FAILED"
-          this.__runningJob.collectedTasksDict[
-            task.globalId
-          ] = this.setTaskState(
-            task,
-            "TIMEOUT",
-            "collect tasks timeout"
-          );
-          // increase collected tasks
-          this.__runningJob.collectedTasksNumber++;
-        });
+        this.cancelRunningJob(
+          "TIMEOUT",
+          new CancelError("collect tasks timeout", "JOB_TIMEOUT")
+        );
         this.endCollectTasksJob();
+      }, getTimeouts(this.__currentProducerConfig).jobTimeout);
 
-        // TODO: COLLECT_JOB_TIMEOUT should be configurable in producer
-      }, constants.COLLECT_JOB_TIMEOUT);
-
-      await Promise.allSettled(promises)
-        .then((results) => {
-          if (this.__runningJob.jobTimeout) {
+      await Promise.all(promises)
+        .then(() => {
+          if (this.__runningJob.jobTimeout || jobId !== this.__runningJob.jobId) {
             // currently job is timeout, don't need to continue
             return;
           }
@@ -503,52 +1185,22 @@ class Producer {
           });
           clearTimeout(this.__runningJob.jobTimeoutHandler);
           this.__runningJob.jobTimeoutHandler = undefined;
-
-          // Update coolected tasks to runningJob
-          results.forEach((result) => {
-            if (
-              _.toLower(result.status) === "fulfilled" &&
-              _.get(result, "value.globalId")
-            ) {
-              let task = result.value;
-              // means successful and return task
-              this.__runningJob.collectedTasksDict[
-                task.globalId
-              ] = this.setTaskState(task, "FINISHED");
-              // increase collected tasks
-              this.__runningJob.collectedTasksNumber++;
-            } else if (
-              _.toLower(result.status) === "rejected" &&
-              _.get(result, "reason.globalId")
-            ) {
-              let task = result.reason;
-              // 2. result.status is 'rejected', then collect task fail
-              this.__runningJob.collectedTasksDict[
-                task.globalId
-              ] = this.setTaskState(task, "FAILED");
-              // increase collected tasks
-              this.__runningJob.collectedTasksNumber++;
-            } else {
-              // if didn't return globalId, then skip it
-              logger.debug(
-                "Skip this task. You need to resolve(task) or reject(intelligen), return the task back"
-              );
-            }
-          });
           this.endCollectTasksJob();
         })
         .catch((err) => {
-          if (this.__runningJob.jobTimeout) {
+          if (this.__runningJob.jobTimeout || jobId !== this.__runningJob.jobId) {
             return;
           }
           logger.error(
             `${this.__runningJob.jobId} collect data fail. Error: ${err.message}`,
             { jobId: this.__runningJob.jobId, error: err }
           );
+          this.recordJobError(err);
           clearTimeout(this.__runningJob.jobTimeoutHandler);
           this.__runningJob.jobTimeoutHandler = undefined;
           this.endCollectTasksJob();
         });
+      return "tasks";
     } catch (err) {
       logger.error(
         `Start job fail: ${this.__runningJob.jobId}, tasks: ${
@@ -559,18 +1211,239 @@ class Producer {
       clearTimeout(this.__runningJob.jobTimeoutHandler);
       this.__runningJob.jobTimeoutHandler = undefined;
       this.endCollectTasksJob();
+      return "error";
+    }
+  }
+
+  /**
+   * Send tasks to a Retailer
+   * @param {object} retailer - `task.retailer`
+   * @param {array} tasks - tasks belong to this Retailer
+   *
+   * @throws {HTTPError} if send fail, or auth configured by `RETAILER_OPTIONS` isn't valid, throw error
+   */
+  async deliverToRetailer(retailer, tasks) {
+    let baseURL = _.get(retailer, "baseURL");
+    let method = _.get(retailer, "callback.method");
+    let callbackPath = _.get(retailer, "callback.path");
+
+    let apiKey = _.get(retailer, "apiKey");
+    let headers = {};
+    const options = this.retailerOptions(retailer);
+    const sign = getRetailerSigning(options, retailer);
+    if (apiKey && !sign) {
+      headers[constants.X_SECURITY_KEY_HEADER] = apiKey;
+    }
+    // custom headers and auth configured by `RETAILER_OPTIONS`
+    _.assign(headers, getRetailerHeaders(options));
+
+    return await sendTasksToRetailer(
+      baseURL,
+      method,
+      callbackPath,
+      headers,
+      tasks,
+      this.context,
+      {
+        compress: options.compression
+          ? {
+              encoding: options.compression,
+              threshold: options.compressionThreshold,
+            }
+          : undefined,
+        sign,
+        signal: this.deliverySignal(),
+      }
+    );
+  }
+
+  /**
+   * Change tasks' state to `FAILED` because cannot send to Retailer
+   * @param {array} tasks - tasks failed to send
+   * @param {Error} err - why fail
+   */
+  setDeliverFailed(tasks, err) {
+    tasks.forEach((task) => {
+      task.system.state = "FAILED";
+      task.system.failuresReason = JSON.stringify(
+        err && err.toJSON ? err.toJSON() : _.get(err, "message") || err
+      );
+    });
+    return tasks;
+  }
+
+  /**
+   * Update tasks' state to BitSky, if fail, store them to outbox and replay later
+   * @param {array} tasks - tasks need to update
+   */
+  async updateTasksToBitSky(tasks) {
+    const logger = _.get(this, "context.logger") || console;
+    const configs = this.getConfigs();
+    try {
+      await updateTasksAPI(
+        configs.BITSKY_BASE_URL,
+        configs.BITSKY_SECURITY_KEY,
+        tasks,
+        this.context,
+        this.deliverySignal()
+      );
+      return true;
+    } catch (err) {
+      this.__emit(EVENTS.bitskyError, { api: "updateTasks", error: err });
+      // store them to outbox, and replay later, so tasks won't be collected multiple time
+      logger.warn(
+        `[updateTasksAPI][Fail], store tasks to outbox and retry later. Error: ${err.message}`,
+        { error: err }
+      );
+      await this.bitskyOutbox().enqueue(
+        {
+          baseURL: configs.BITSKY_BASE_URL,
+          tasks: filterTasksSendToBitSky(tasks),
+        },
+        err
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Options of a Retailer, see `utils/retailerOptions.js`
+   * @param {object} retailer - `task.retailer`
+   *
+   * @returns {RetailerOptions}
+   */
+  retailerOptions(retailer) {
+    const configs = this.getConfigs();
+    if (
+      !this.__retailerOptions ||
+      this.__retailerOptions.raw !== configs.RETAILER_OPTIONS
+    ) {
+      // parse once, so invalid value is only logged once
+      this.__retailerOptions = {
+        raw: configs.RETAILER_OPTIONS,
+        value: parseRetailerOptions(
+          configs.RETAILER_OPTIONS,
+          _.get(this, "context.logger")
+        ),
+      };
+      // custom headers maybe secrets, don't log their values, like in error of a failed request
+      addRedactedHeaders(getRetailerSecretHeaders(this.__retailerOptions.value));
+    }
+    return getRetailerOptions(this.__retailerOptions.value, retailer, {
+      maxBatchSize: configs.RETAILER_MAX_BATCH_SIZE,
+      maxBatchBytes: configs.RETAILER_MAX_BATCH_BYTES,
+      compression: configs.RETAILER_COMPRESSION,
+      compressionThreshold: configs.COMPRESSION_THRESHOLD,
+      signing: configs.RETAILER_SIGNING,
+    });
+  }
+
+  /**
+   * How to sign request send to BitSky, `BITSKY_SIGNING` and `BITSKY_SECURITY_KEY`
+   * @returns {object|undefined} - `{key}`, **undefined** means don't sign, security key is sent
+   */
+  bitskySigning() {
+    const configs = this.getConfigs();
+    if (!configs.BITSKY_SIGNING || !configs.BITSKY_SECURITY_KEY) {
+      return undefined;
+    }
+    return { key: configs.BITSKY_SECURITY_KEY };
+  }
+
+  /**
+   * How to compress request body send to BitSky, `BITSKY_COMPRESSION` and `COMPRESSION_THRESHOLD`
+   * @returns {object|undefined} - `{encoding, threshold}`, **undefined** means don't compress
+   */
+  bitskyCompression() {
+    const configs = this.getConfigs();
+    if (!configs.BITSKY_COMPRESSION) {
+      return undefined;
+    }
+    return {
+      encoding: configs.BITSKY_COMPRESSION,
+      threshold: configs.COMPRESSION_THRESHOLD,
+    };
+  }
+
+  /**
+   * Send a chunk of tasks to a Retailer, then update them to BitSky
+   * @param {string} key - Retailer key, `method:url`
+   * @param {object} retailer - `task.retailer`
+   * @param {object} chunk - `{tasks, sent, bytes}`, see `chunkTasksForRetailer`
+   * @param {number} index - index of this chunk
+   *
+   * @returns {object} - `{index, tasks, sent, bytes, status, latency, error, bitsky}`, same meaning as delivery report
+   */
+  async deliverChunk(key, retailer, chunk, index) {
+    const logger = _.get(this, "context.logger") || console;
+    const result = {
+      index,
+      tasks: chunk.tasks.length,
+      sent: chunk.sent,
+      bytes: chunk.bytes,
+      status: undefined,
+      latency: undefined,
+      error: undefined,
+      bitsky: undefined,
+    };
+    const startTime = Date.now();
+    try {
+      await this.deliverToRetailer(retailer, chunk.tasks);
+      result.latency = Date.now() - startTime;
+      result.status = result.sent ? "delivered" : "skipped";
+    } catch (err) {
+      result.latency = Date.now() - startTime;
+      result.error = _.get(err, "message") || _.toString(err);
+      if (
+        this.getConfigs().RETAILER_RETRY_MAX_ATTEMPTS > 1 ||
+        _.get(this.deliverySignal(), "aborted")
+      ) {
+        // crawl was successful, don't lose data because of a temporary Retailer outage or shutdown
+        // tasks will be updated to BitSky after deliver successful or run out of attempts
+        logger.warn(
+          `[sendTasksToRetailer][Fail], store tasks to retry queue. Key: ${key}, chunk: ${index}. Error: ${err.message}`,
+          { error: err }
+        );
+        await this.retailerOutbox().enqueue(
+          {
+            retailer,
+            tasks: chunk.tasks,
+          },
+          err
+        );
+        result.status = "queued";
+        return result;
+      }
+      logger.debug(
+        `[sendTasksToRetailer][Fail]. Key: ${key}, chunk: ${index}. Error: ${err.message}`,
+        { error: err }
+      );
+      result.status = "failed";
+      // if send to Retailer fail, then change tasks state to `FAILED`
+      this.setDeliverFailed(chunk.tasks, err);
     }
+
+    result.bitsky = (await this.updateTasksToBitSky(chunk.tasks))
+      ? "updated"
+      : "queued";
+    return result;
   }
 
   /**
+   * Send tasks to their Retailers, then update tasks' state to BitSky
    * @param {array} tasks
+   *
+   * @returns {array} - delivery report of each Retailer. `{key, retailer, method, url, tasks, sent, status, latency, error, bitsky, chunks}`.
+   * Tasks are sent in chunks limited by `maxBatchSize` and `maxBatchBytes` of the Retailer, `chunks` is result of each chunk, other fields summarize them.
+   * `status` is one of `delivered`, `skipped`(no task need to send), `queued`(will retry later), `failed`.
+   * `bitsky` is `updated` or `queued`(update tasks to BitSky fail, will retry later), **undefined** means didn't update yet
    */
   async sendToRetailerAndBitSky(tasks) {
     const logger = _.get(this, "context.logger") || console;
     // make sure send tasks to correct Retailer, in case, it contains multiple Retailers, so first category them
     logger.debug("[sendToRetailerAndBitSky][Start]");
     let retailers = {};
-    const configs = this.getConfigs();
+    let invalidTasks = 0;
     // Separate Retailer based on url and method, so it can send to correct Retailer
     // The reason is because it maybe contains multiple Retailer's tasks
     for (let i = 0; i < tasks.length; i++) {
@@ -583,6 +1456,7 @@ class Producer {
           "sendToRetailerAndBitSky->invalid tasks, miss baseUrl, method or callbackPath. Skip this item.",
           tasks[i]
         );
+        invalidTasks++;
         continue;
       }
       let url = joinURL(callbackPath, baseUrl);
@@ -590,6 +1464,8 @@ class Producer {
       if (!retailers[key]) {
         retailers[key] = {
           retailer: tasks[i].retailer,
+          url,
+          method: _.toUpper(method),
           tasks: [],
         };
       }
@@ -602,73 +1478,68 @@ class Producer {
       if (retailers.hasOwnProperty(key)) {
         promises.push(
           new Promise(async (resolve) => {
+            // only send this Retailer's tasks
+            let retailerTasks = _.get(retailers[key], "tasks");
+            let report = {
+              key,
+              retailer: {
+                globalId: _.get(retailers[key], "retailer.globalId"),
+                name: _.get(retailers[key], "retailer.name"),
+                baseURL: _.get(retailers[key], "retailer.baseURL"),
+              },
+              method: retailers[key].method,
+              url: retailers[key].url,
+              tasks: retailerTasks.length,
+              sent: filterTasksSendToRetailer(retailerTasks).length,
+              status: undefined,
+              latency: undefined,
+              error: undefined,
+              bitsky: undefined,
+            };
             try {
-              let baseURL = _.get(retailers[key], "retailer.baseURL");
-              let method = _.get(retailers[key], "retailer.callback.method");
-              let callbackPath = _.get(retailers[key], "retailer.callback.path");
-
-              // TODO: apiKey need to improve, this should be support custom http header
-              let apiKey = _.get(retailers[key], "retailer.apiKey");
-              let headers = {};
-              if (apiKey) {
-                headers[constants.X_SECURITY_KEY_HEADER] = apiKey;
-              }
-
-              try {
-                await sendTasksToRetailer(
-                  baseURL,
-                  method,
-                  callbackPath,
-                  headers,
-                  tasks,
-                  this.context
-                );
-              } catch (err) {
-                logger.debug(
-                  `[sendTasksToRetailer][Fail]. Key: ${key}. Error: ${err.message}`,
-                  { error: err }
-                );
-                let tasks = _.get(retailers[key], "tasks");
-                // if send to Retailer fail, then change tasks state to `FAILED`
-                tasks.forEach((task) => {
-                  task.system.state = "FAILED";
-                  task.system.failuresReason = JSON.stringify(
-                    err && err.toJSON()
-                  );
-                });
-              }
-
-              try {
-                await updateTasksAPI(
-                  configs.BITSKY_BASE_URL,
-                  configs.BITSKY_SECURITY_KEY,
-                  _.get(retailers[key], "tasks"),
-                  this.context
-                );
-              } catch (err) {
-                // if error, also will resolve as successful. The reason is to reduce complex for producer. Normally when updateTasksAPI fail, also cannot get tasks
-                // This maybe caused tasks are collected multiple time.
-                logger.debug(
-                  `[updateTasksAPI][Fail], error: ${err.message}`,
-                  { error: err }
+              const retailer = _.get(retailers[key], "retailer");
+              const chunks = chunkTasksForRetailer(
+                retailerTasks,
+                this.retailerOptions(retailer)
+              );
+              report.chunks = [];
+              // send chunks one by one, so Retailer isn't overloaded
+              for (let index = 0; index < chunks.length; index++) {
+                report.chunks.push(
+                  await this.deliverChunk(key, retailer, chunks[index], index)
                 );
               }
-              resolve([]);
+              summarizeChunks(report);
+              resolve(report);
             } catch (err) {
               logger.error(
                 `[sendToRetailerAndBitSky][Fail]. Key: ${key}. Error: ${err.message}`,
                 { error: err }
               );
-              // the reason of return [] is because, normally producer is automatically start and close, no human monitor it
-              // to make sure work flow isn't stopped, so resolve it as []
-              resolve([]);
+              // resolve it, to make sure work flow isn't stopped
+              report.status = "failed";
+              report.error = _.get(err, "message") || _.toString(err);
+              resolve(report);
             }
           })
         );
       }
     }
 
-    await Promise.allSettled(promises);
+    let reports = await Promise.all(promises);
+    reports.forEach((report) => {
+      this.__emit(EVENTS.retailerDelivered, { jobId: this.jobId(), report });
+    });
+    if (invalidTasks) {
+      reports.push({
+        key: "invalid",
+        tasks: invalidTasks,
+        sent: 0,
+        status: "skipped",
+        error: "miss retailer baseURL, callback method or callback path",
+      });
+    }
+    return reports;
   }
 
   async endCollectTasksJob() {
@@ -705,6 +1576,7 @@ class Producer {
             "FAILED",
             "Task failed caused by timeout or you didn't resolve(task) or reject(task) in your producer"
           );
+          this.__emitTaskEvent(task);
         } else {
           if (!_.get(task, "system.state")) {
             if (_.get(task, "dataset")) {
@@ -725,13 +1597,49 @@ class Producer {
 
       this.__runningJob.totalTasks = temp;
       try {
-        await this.sendToRetailerAndBitSky(this.__runningJob.totalTasks);
+        let reports;
+        if (this.streamDelivery()) {
+          // send tasks haven't been flushed, after in-flight flushes
+          this.__runningJob.pendingDelivery = temp.filter(
+            (task) => !this.__runningJob.deliveredTasks[task.globalId]
+          );
+          await this.flushDelivery();
+          reports = mergeDeliveryReports(this.__runningJob.deliveryReports);
+        } else {
+          reports = await this.sendToRetailerAndBitSky(
+            this.__runningJob.totalTasks
+          );
+        }
+        this.__lastDeliveryReport = {
+          jobId: _.get(this.__runningJob, "jobId"),
+          createdAt: Date.now(),
+          retailers: reports,
+        };
+        reports.forEach((report) => {
+          logger.info(
+            `[Delivery] ${report.key}: ${report.status}, tasks: ${report.tasks}, sent: ${report.sent}${
+              report.latency !== undefined ? `, latency: ${report.latency} ms` : ""
+            }${report.error ? `, error: ${report.error}` : ""}`,
+            { jobId: _.get(this.__runningJob, "jobId") }
+          );
+        });
       } catch (err) {
         logger.error(
           `[endCollectTasksJob->sendToRetailerAndBitSky] shouldn't fail, something really bad happened! error: ${err.message}`,
           { jobId: _.get(this.__runningJob, "jobId"), error: err }
         );
+        this.recordJobError(err);
       }
+      const summary = this.runningJobSummary();
+      this.__emit(EVENTS.jobEnded, {
+        jobId: summary.jobId,
+        startedAt: summary.startedAt,
+        endedAt: summary.endedAt,
+        duration: summary.duration,
+        states: summary.states,
+        deliveries: summary.deliveries,
+      });
+      await this.jobHistory().add(summary);
       logger.info(`Total time: ${Date.now() - this.__runningJob.startTime} ms`);
       logger.info(
         `>>>>>>>>> Successfuly end job ${_.get(this.__runningJob, "jobId")}`,
@@ -740,24 +1648,62 @@ class Producer {
         }
       );
       this.resetRunningJob();
-      this.startCollectTasksJob();
     } catch (err) {
       logger.error(
         `Fail end job: ${this.__runningJob.jobId}, tasks: ${this.__runningJob.totalTasks.length}, error: ${err.message}`,
         { error: err }
       );
+      this.recordJobError(err);
+      await this.jobHistory().add(this.runningJobSummary());
       // if cannot successfully end collect task job, then task will keep running state until timeout
       this.resetRunningJob();
-      this.startCollectTasksJob();
     }
   }
 
+  /**
+   * Record an error of running job, it is stored in job history
+   * @param {Error|string} err - error
+   */
+  recordJobError(err) {
+    if (!this.__runningJob.jobId) {
+      return;
+    }
+    this.__runningJob.errors.push({
+      at: Date.now(),
+      code: _.get(err, "code"),
+      message: _.get(err, "message") || _.toString(err),
+    });
+  }
+
+  /**
+   * Summary of running job, stored in job history
+   * @returns {object} - `{jobId, startedAt, endedAt, duration, tasks, states, deliveries, errors}`
+   */
+  runningJobSummary() {
+    const endedAt = Date.now();
+    const deliveryReport = this.__lastDeliveryReport;
+    return {
+      jobId: this.__runningJob.jobId,
+      startedAt: this.__runningJob.startTime,
+      endedAt,
+      duration: endedAt - this.__runningJob.startTime,
+      tasks: this.__runningJob.totalTasks.length,
+      states: _.countBy(this.__runningJob.totalTasks, (task) =>
+        _.toUpper(_.get(task, "system.state"))
+      ),
+      deliveries:
+        _.get(deliveryReport, "jobId") === this.__runningJob.jobId
+          ? deliveryReport.retailers
+          : [],
+      errors: this.__runningJob.errors,
+    };
+  }
+
   resetRuntime() {
-    clearInterval(this.__watchTasksIntervalHandler);
+    this.clearPollingInterval();
     clearInterval(this.__watchProducerIntervalHandler);
     this.__ranJobNumber = 0;
     this.__currentProducerConfig = undefined;
-    this.__watchTasksIntervalHandler = undefined;
     this.__watchProducerIntervalHandler = undefined;
     this.resetRunningJob();
     return this;
@@ -765,6 +1711,17 @@ class Producer {
 
   resetRunningJob() {
     clearTimeout(this.__runningJob.jobTimeoutHandler);
+    if (this.__runningJob.cancelController) {
+      // job is ended, anything still running is useless
+      this.__runningJob.cancelController.abort(
+        new CancelError("collect job ended", "JOB_ENDED")
+      );
+    }
+    this.__runningJob.cancelController = undefined;
+    if (this.__runningJob.deliveryController) {
+      this.__runningJob.deliveryController.dispose();
+    }
+    this.__runningJob.deliveryController = undefined;
     this.__runningJob.totalTasks = [];
     this.__runningJob.collectedTasksDict = {};
     this.__runningJob.collectedTasksNumber = 0;
@@ -774,15 +1731,245 @@ class Producer {
     this.__runningJob.endingCollectTasksJob = false;
     this.__runningJob.jobTimeoutHandler = undefined;
     this.__runningJob.lockJob = false;
+    this.__runningJob.errors = [];
+    clearTimeout(this.__runningJob.flushHandler);
+    this.__runningJob.flushHandler = undefined;
+    this.__runningJob.pendingDelivery = [];
+    this.__runningJob.deliveredTasks = {};
+    this.__runningJob.deliveryReports = [];
+    this.__runningJob.delivering = Promise.resolve();
+    // notify `waitForJobEnd`
+    const waiters = this.__jobEndWaiters;
+    this.__jobEndWaiters = [];
+    waiters.forEach((waiter) => waiter());
     return this;
   }
 
+  /**
+   * Wait until running job is ended
+   * @param {number} timeout - (Unit: Millisecond) max time to wait
+   *
+   * @returns {Promise<boolean>} - **true** means job is ended, **false** means timeout
+   */
+  waitForJobEnd(timeout) {
+    if (!this.__runningJob.jobId) {
+      return Promise.resolve(true);
+    }
+    return new Promise((resolve) => {
+      const waiter = () => {
+        clearTimeout(handler);
+        resolve(true);
+      };
+      const handler = setTimeout(() => {
+        _.pull(this.__jobEndWaiters, waiter);
+        resolve(false);
+      }, timeout);
+      this.__jobEndWaiters.push(waiter);
+    });
+  }
+
+  /**
+   * Stop polling and let running job finish, then deliver collected tasks to Retailers and BitSky.
+   * If running job doesn't finish in grace period, tasks still running are cancelled and set to `FAILED`.
+   * Last `SHUTDOWN_DELIVERY_TIMEOUT`(at most half of grace period) is kept to deliver, tasks not delivered in it are stored to outbox
+   * @param {number} [gracePeriod] - (Unit: Millisecond) max time to wait running job. Default `SHUTDOWN_GRACE_PERIOD`
+   */
+  async drain(gracePeriod) {
+    const logger = _.get(this, "context.logger") || console;
+    if (!_.isFinite(gracePeriod) || gracePeriod < 0) {
+      gracePeriod = constants.SHUTDOWN_GRACE_PERIOD * 1000;
+    }
+    try {
+      this.__draining = true;
+      // stop polling tasks and watching producer configuration
+      this.clearPollingInterval();
+      clearInterval(this.__watchProducerIntervalHandler);
+      this.__watchProducerIntervalHandler = undefined;
+      const jobId = this.jobId();
+      if (jobId) {
+        // last part of grace period is kept to send collected tasks to Retailers and BitSky
+        const deliveryTimeout = Math.min(
+          constants.SHUTDOWN_DELIVERY_TIMEOUT * 1000,
+          Math.floor(gracePeriod / 2)
+        );
+        logger.info(
+          `Draining, wait job ${jobId} to finish, grace period: ${gracePeriod} ms`,
+          { jobId }
+        );
+        const ended = await this.waitForJobEnd(gracePeriod - deliveryTimeout);
+        if (!ended && this.jobId() === jobId) {
+          logger.warn(
+            `Job ${jobId} didn't finish in grace period, cancel tasks still running`,
+            { jobId }
+          );
+          const ending = this.__runningJob.endingCollectTasksJob;
+          if (!ending) {
+            this.cancelRunningJob(
+              "FAILED",
+              new CancelError("Producer is shutting down", "SHUTDOWN")
+            );
+          }
+          // deliveries not done before deadline are stored to outbox, and replayed after restart
+          this.limitDelivery(deliveryTimeout);
+          if (ending) {
+            // it is sending to Retailers and BitSky, wait in-flight requests to finish or be cancelled and stored
+            await this.waitForJobEnd(
+              deliveryTimeout + constants.REQUEST_TIMEOUT
+            );
+          } else {
+            await this.endCollectTasksJob();
+          }
+        }
+      }
+      // data didn't send are stored in outbox, and replayed after restart
+      if (this.__bitskyOutbox) {
+        this.__bitskyOutbox.stop();
+      }
+      if (this.__retailerOutbox) {
+        this.__retailerOutbox.stop();
+      }
+      logger.info("Successfully drain producer");
+    } catch (err) {
+      logger.error(`Drain producer fail. Error: ${err.message}`, {
+        error: err,
+      });
+    }
+  }
+
+  /**
+   * Whether producer is draining
+   * @returns {boolean}
+   */
+  draining() {
+    return !!this.__draining;
+  }
+
+  /**
+   * Stop polling tasks, running job continues to finish. Producer configuration is kept, and still watched
+   * @param {number} [timeout] - (Unit: Millisecond) max time to wait running job. Default is job timeout
+   *
+   * @returns {Promise<boolean>} - **true** means running job is ended, **false** means timeout
+   */
+  async pause(timeout) {
+    const logger = _.get(this, "context.logger") || console;
+    if (!this.__paused) {
+      this.__paused = true;
+      logger.info("Pause producer, running job continues to finish", {
+        jobId: this.jobId(),
+      });
+      this.clearPollingInterval();
+    }
+    return await this.waitForJobEnd(
+      timeout || getTimeouts(this.__currentProducerConfig).jobTimeout
+    );
+  }
+
+  /**
+   * Start polling tasks again after `pause`
+   *
+   * @returns {Promise<boolean>} - **true** means start polling, **false** means producer configuration isn't valid, it starts polling once get valid configuration
+   */
+  async resume() {
+    const logger = _.get(this, "context.logger") || console;
+    this.__paused = false;
+    if (this.__draining || !this.canCollectTasks(this.__currentProducerConfig)) {
+      logger.warn(
+        "Resume producer, but producer is draining or producer configuration isn't valid, don't start polling tasks"
+      );
+      return false;
+    }
+    logger.info("Resume producer", { jobId: this.jobId() });
+    if (!this.polling()) {
+      // job started before pause maybe still running, don't end it
+      this.beginPolling();
+    }
+    return true;
+  }
+
+  /**
+   * Start a job now instead of wait for next polling, it also works when paused
+   *
+   * @returns {string|undefined} - job id, **undefined** means a job is running, or producer is draining, or producer configuration isn't valid
+   */
+  runNow() {
+    const logger = _.get(this, "context.logger") || console;
+    if (
+      this.__draining ||
+      this.__runningJob.jobId ||
+      this.__runningJob.lockJob ||
+      this.__runningJob.endingCollectTasksJob ||
+      !this.canCollectTasks(this.__currentProducerConfig)
+    ) {
+      logger.warn(
+        "Cannot run job now, a job is running, or producer is draining, or producer configuration isn't valid",
+        { jobId: this.jobId() }
+      );
+      return undefined;
+    }
+    // job id is set synchronously, don't need to wait the job to finish
+    this.startCollectTasksJob();
+    return this.jobId();
+  }
+
+  /**
+   * Whether producer is paused
+   * @returns {boolean}
+   */
+  paused() {
+    return !!this.__paused;
+  }
+
+  /**
+   * Whether producer is polling tasks
+   * @returns {boolean}
+   */
+  polling() {
+    return !!this.__polling;
+  }
+
+  /**
+   * When is next poll
+   * @returns {number|undefined} - timestamp, **undefined** means not polling or a poll is running
+   */
+  nextPollingAt() {
+    return this.__polling && this.__pollingHandler ? this.__nextPollingAt : undefined;
+  }
+
+  /**
+   * Limit how long running job can send tasks to Retailers and BitSky. After deadline, in-flight requests are cancelled,
+   * chunks not delivered and updates not sent are stored to outbox, so they are replayed later
+   * @param {number} ms - (Unit: Millisecond) time left to deliver, `0` means store all to outbox now
+   */
+  limitDelivery(ms) {
+    const controller = this.__runningJob.deliveryController;
+    if (!controller) {
+      return;
+    }
+    const message = "Delivery deadline passed, producer is shutting down";
+    if (ms > 0) {
+      controller.timeout(ms, message, "DELIVERY_DEADLINE");
+    } else {
+      controller.abort(new CancelError(message, "DELIVERY_DEADLINE"));
+    }
+  }
+
+  /**
+   * Signal aborted when delivery deadline of running job passes, see `limitDelivery`
+   * @returns {CancelSignal|undefined} - **undefined** means no deadline
+   */
+  deliverySignal() {
+    return _.get(this.__runningJob, "deliveryController.signal");
+  }
+
   initRunningJob(tasks) {
     this.resetRunningJob();
     this.__runningJob.totalTasks = tasks || [];
     this.__runningJob.jobId = uuid.v4();
     this.__runningJob.startTime = Date.now();
     this.__runningJob.lockJob = true;
+    this.__runningJob.cancelController = new CancelController();
+    // it has no deadline until `limitDelivery`, in-flight requests follow it
+    this.__runningJob.deliveryController = new CancelController();
     return this;
   }
 
@@ -794,12 +1981,20 @@ class Producer {
     logger.debug("start");
     // Clear previous interval handler
     this.resetRuntime();
+    this.__draining = false;
+    this.__paused = false;
+    this.__startedAt = Date.now();
     if (!this.__type) {
       this.__type = constants.HTTP_RETAILER_TYPE; // default type is "service producer"
     }
     if (!this.__worker) {
       this.__worker = httpCrawler; // default worker for this producer is service crawler
     }
+    // replay tasks failed to update to BitSky or send to Retailer, include tasks stored before restart
+    this.bitskyOutbox().start();
+    this.retailerOutbox().start();
+    // get producer configuration now, don't wait for the first interval
+    this.compareProducerConfiguration();
     this.__watchProducerIntervalHandler = setInterval(() => {
       // compare producer configuration with server side, if need, then initJob
       this.compareProducerConfiguration();
@@ -813,6 +2008,12 @@ class Producer {
     const logger = _.get(this, "context.logger") || console;
     try {
       this.resetRuntime();
+      if (this.__bitskyOutbox) {
+        this.__bitskyOutbox.stop();
+      }
+      if (this.__retailerOutbox) {
+        this.__retailerOutbox.stop();
+      }
     } catch (err) {
       logger.error(`Stop producer fail. Error: ${err.message}`, {
         error: err,
@@ -865,6 +2066,22 @@ class Producer {
     return this;
   }
 
+  /**
+   * Add a middleware to worker. Middleware can rewrite a task before it runs, transform the result and classify errors.
+   * It works with any worker, include default `httpCrawler`. See `utils/middleware.js`
+   *
+   * @param {object} middleware - `{beforeTask, afterTask, onError}`, at least one hook
+   *
+   * @throws {Error} if middleware isn't valid, throw error
+   * @returns {Producer}
+   */
+  use(middleware) {
+    validateMiddleware(middleware);
+    this.__middlewares.push(middleware);
+
+    return this;
+  }
+
   /**
    * Get currently producer configuration
    */
@@ -873,12 +2090,187 @@ class Producer {
   }
 
   producerError() {
-    return this.__producerError;
+    if (this.__producerError || !this.__getTasksFailures) {
+      return this.__producerError;
+    }
+    // producer configuration is fine, but cannot get tasks
+    return this.__getTasksError;
+  }
+
+  /**
+   * Record result of get tasks, so idle producer can be told from broken one
+   * @param {Error} [err] - error when get tasks, **undefined** means successful
+   */
+  recordGetTasksResult(err) {
+    if (!err) {
+      this.__getTasksFailures = 0;
+      this.__getTasksError = undefined;
+      return;
+    }
+    this.__getTasksFailures++;
+    this.__getTasksError = {
+      error: true,
+      api: "getTasks",
+      status: _.get(err, "status"),
+      code: _.get(err, "code"),
+      failures: this.__getTasksFailures,
+      message: `Cannot reach BitSky, get tasks fail ${this.__getTasksFailures} times in a row. Error: ${_.get(err, "message")}`,
+    };
+    this.__emit(EVENTS.bitskyError, { api: "getTasks", error: err });
+  }
+
+  /**
+   * How many times get tasks fail in a row
+   * @returns {number}
+   */
+  getTasksFailures() {
+    return this.__getTasksFailures;
+  }
+
+  /**
+   * How many task updates are waiting to replay to BitSky
+   * @returns {number}
+   */
+  outboxSize() {
+    return this.__bitskyOutbox ? this.__bitskyOutbox.size() : 0;
+  }
+
+  /**
+   * Delivery report of last job
+   * @returns {object|undefined} - `{jobId, createdAt, retailers}`, see `sendToRetailerAndBitSky`
+   */
+  lastDeliveryReport() {
+    return this.__lastDeliveryReport;
+  }
+
+  /**
+   * How many Retailer deliveries are waiting to retry
+   * @returns {number}
+   */
+  retailerQueueSize() {
+    return this.__retailerOutbox ? this.__retailerOutbox.size() : 0;
   }
 
   jobId() {
     return _.get(this.__runningJob, "jobId");
   }
+
+  /**
+   * Record a successful request to BitSky
+   */
+  recordBitSkyContact() {
+    this.__lastBitSkyContactAt = Date.now();
+  }
+
+  /**
+   * Last time request to BitSky successful
+   * @returns {number|undefined} - timestamp, **undefined** means never
+   */
+  lastBitSkyContactAt() {
+    return this.__lastBitSkyContactAt;
+  }
+
+  /**
+   * State of circuit breaker of requests send to BitSky
+   * @returns {object} - `{status, state, failures, openedAt, nextAttemptAt, lastError}`, `status` is `fail` when circuit isn't `closed`
+   */
+  bitskyCircuitStatus() {
+    const circuit = this.bitskyCircuitBreaker().status();
+    return _.assign(
+      { status: circuit.state === CircuitBreaker.STATES.closed ? "pass" : "fail" },
+      circuit
+    );
+  }
+
+  /**
+   * Whether running job is stuck, it runs longer than job timeout plus `JOB_STUCK_GRACE_PERIOD`
+   * @returns {object} - `{status, jobId, startedAt, runningTime, jobTimeout}`, `status` is `pass` or `fail`
+   */
+  checkJob() {
+    const jobTimeout = getTimeouts(this.__currentProducerConfig).jobTimeout;
+    const jobId = this.jobId();
+    const runningTime = jobId ? Date.now() - this.__runningJob.startTime : 0;
+    return {
+      status:
+        runningTime > jobTimeout + constants.JOB_STUCK_GRACE_PERIOD
+          ? "fail"
+          : "pass",
+      jobId,
+      startedAt: jobId ? this.__runningJob.startTime : undefined,
+      runningTime,
+      jobTimeout,
+    };
+  }
+
+  /**
+   * Whether this producer is ready to collect tasks. Each check has `status`, `pass` or `fail`, and its details
+   * @param {object} [options]
+   * @param {number} [options.bitskyTimeout] - (Unit: Second) fail if cannot contact BitSky longer than this. Default `HEALTH_BITSKY_TIMEOUT`
+   * @param {number} [options.outboxMax] - fail if entries waiting to replay are more than this. Default `HEALTH_OUTBOX_MAX`
+   *
+   * @returns {object} - `{globalId, ready, checks: {configuration, bitsky, circuit, job, outbox}}`
+   */
+  readiness(options) {
+    const bitskyTimeout =
+      (_.get(options, "bitskyTimeout") || constants.HEALTH_BITSKY_TIMEOUT) *
+      1000;
+    const outboxMax = _.isFinite(_.get(options, "outboxMax"))
+      ? options.outboxMax
+      : constants.HEALTH_OUTBOX_MAX;
+    const config = this.__currentProducerConfig;
+    const lastContactAt = this.__lastBitSkyContactAt;
+    // just started and didn't contact BitSky yet, it is still in startup grace period
+    const starting =
+      !lastContactAt &&
+      !!this.__startedAt &&
+      Date.now() - this.__startedAt <= bitskyTimeout;
+    const outbox = {
+      bitsky: this.outboxSize(),
+      retailers: this.retailerQueueSize(),
+    };
+    const checks = {
+      configuration: {
+        status: this.canCollectTasks(config) ? "pass" : "fail",
+        globalId: _.get(config, "globalId"),
+        type: _.get(config, "type"),
+        state: _.get(config, "system.state"),
+        paused: this.paused(),
+        error: this.__producerError || undefined,
+      },
+      bitsky: {
+        status:
+          starting ||
+          (lastContactAt && Date.now() - lastContactAt <= bitskyTimeout)
+            ? "pass"
+            : "fail",
+        lastContactAt,
+        starting,
+        timeout: bitskyTimeout,
+        getTasksFailures: this.__getTasksFailures,
+      },
+      circuit: this.bitskyCircuitStatus(),
+      job: this.checkJob(),
+      outbox: {
+        status: outbox.bitsky + outbox.retailers > outboxMax ? "fail" : "pass",
+        bitsky: outbox.bitsky,
+        retailers: outbox.retailers,
+        max: outboxMax,
+      },
+    };
+    return {
+      globalId: this.getConfigs().GLOBAL_ID,
+      ready: _.every(checks, (check) => check.status === "pass"),
+      checks,
+    };
+  }
+
+  /**
+   * How many jobs ran since producer started
+   * @returns {number}
+   */
+  ranJobNumber() {
+    return this.__ranJobNumber;
+  }
 }
 
 module.exports = Producer;
@@ -0,0 +1,69 @@
+const _ = require("lodash");
+const crypto = require("crypto");
+const constants = require("../utils/constants");
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(_.toString(a));
+  const bufferB = Buffer.from(_.toString(b));
+  if (bufferA.length !== bufferB.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Security key of admin routes, `ADMIN_SECURITY_KEY`, if it is empty, then use `BITSKY_SECURITY_KEY` of the producer
+ * @param {object} context - producer context
+ * @param {Producer} [producer] - producer the request manages, default is default producer
+ *
+ * @returns {string|undefined} - **undefined** means admin routes are disabled
+ */
+function adminSecurityKey(context, producer) {
+  const configs = context.baseservice
+    ? context.baseservice.getConfigs()
+    : context.producer.getConfigs();
+  producer = producer || context.producer;
+  return (
+    configs.ADMIN_SECURITY_KEY ||
+    _.get(producer && producer.getConfigs(), "BITSKY_SECURITY_KEY")
+  );
+}
+
+/**
+ * Protect admin routes. Request need to pass `ADMIN_SECURITY_KEY` by `x-bitsky-security-key` header,
+ * if `ADMIN_SECURITY_KEY` is empty, then use `BITSKY_SECURITY_KEY`.
+ * If both are empty, admin routes are disabled and response `403`.
+ * Routes of a producer use that producer's `BITSKY_SECURITY_KEY`
+ * @param {object} context - producer context
+ *
+ * @returns {Function} - express middleware
+ */
+function adminAuth(context) {
+  let warned = false;
+  return function (req, res, next) {
+    const securityKey = adminSecurityKey(context, req.producer);
+    if (!securityKey) {
+      if (!warned) {
+        warned = true;
+        context.logger.warn(
+          "ADMIN_SECURITY_KEY and BITSKY_SECURITY_KEY are empty, admin routes are disabled"
+        );
+      }
+      return res.status(403).json({
+        status: 403,
+        message:
+          "Admin routes are disabled, set ADMIN_SECURITY_KEY or BITSKY_SECURITY_KEY to enable them",
+      });
+    }
+    if (!safeEqual(req.get(constants.X_SECURITY_KEY_HEADER), securityKey)) {
+      return res.status(401).json({
+        status: 401,
+        message: `Please pass correct security key by ${constants.X_SECURITY_KEY_HEADER} header`,
+      });
+    }
+    next();
+  };
+}
+
+module.exports = adminAuth;
+module.exports.adminSecurityKey = adminSecurityKey;
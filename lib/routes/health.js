@@ -1,4 +1,14 @@
 const express = require("express");
+const _ = require("lodash");
+
+/**
+ * All producers hosted by this service
+ */
+function getProducers(context) {
+  return context.baseservice
+    ? context.baseservice.producers()
+    : _.compact([context.producer]);
+}
 
 function producerRouter(context) {
   function initRouter(context) {
@@ -10,6 +20,43 @@ function producerRouter(context) {
       });
     });
 
+    // process is alive, and no job is stuck. Orchestrator should restart it if fail
+    router.get("/live", function (req, res, next) {
+      try {
+        const producers = getProducers(context).map((producer) => {
+          const job = producer.checkJob();
+          return {
+            globalId: producer.getConfigs().GLOBAL_ID,
+            live: job.status === "pass",
+            checks: { job },
+          };
+        });
+        const status = _.every(producers, "live") ? 200 : 503;
+        res.status(status).json({ status, producers });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    // producers are ready to collect tasks
+    router.get("/ready", function (req, res, next) {
+      try {
+        const configs = context.baseservice
+          ? context.baseservice.getConfigs()
+          : {};
+        const producers = getProducers(context).map((producer) =>
+          producer.readiness({
+            bitskyTimeout: configs.HEALTH_BITSKY_TIMEOUT,
+            outboxMax: configs.HEALTH_OUTBOX_MAX,
+          })
+        );
+        const status = _.every(producers, "ready") ? 200 : 503;
+        res.status(status).json({ status, producers });
+      } catch (err) {
+        next(err);
+      }
+    });
+
     return router;
   }
   return initRouter(context);
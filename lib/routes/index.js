@@ -2,6 +2,39 @@ const express = require("express");
 const _ = require("lodash");
 const path = require("path");
 const constants = require('../utils/constants');
+const { redactConfigs } = require("../utils/signature");
+const { adminSecurityKey } = require("./adminAuth");
+
+/**
+ * Connected producer configuration of a producer, or error when get it
+ * @param {Producer} producer - producer
+ *
+ * @returns {object} - `{producerFieldData, getProducerFail, getTasksError}`
+ */
+function getProducerFieldData(producer) {
+  let producerFieldData = producer.producerConfiguration();
+  let getProducerFail = false;
+  let getTasksError;
+  if(producerFieldData&&producer.getTasksFailures()){
+    // connected, but cannot get tasks, it isn't idle
+    getTasksError = _.get(producer.producerError(), "message");
+  }
+  if(!producerFieldData){
+    producerFieldData = producer.producerError();
+    if(producerFieldData&&producerFieldData.error){
+      getProducerFail = true;
+    }
+
+    if(!producerFieldData){
+      producerFieldData = "Try to get connected producer configuration, please wait a mins ...";
+    }
+  }
+  return {
+    producerFieldData,
+    getProducerFail,
+    getTasksError,
+  };
+}
 
 function indexRouter(context, indexOptions) {
   function initRouter(context, indexOptions) {
@@ -17,20 +50,28 @@ function indexRouter(context, indexOptions) {
         screenshots = true;
       }
       const configs = context.baseservice.getConfigs() || {};
-      let producerFieldData = context.producer.producerConfiguration();
-      let getProducerFail = false;
-      // console.log("context.producer.producerError(): ", context.producer.producerError());
-
-      if(!producerFieldData){
-        producerFieldData = context.producer.producerError();
-        if(producerFieldData&&producerFieldData.error){
-          getProducerFail = true;
-        }
-
-        if(!producerFieldData){
-          producerFieldData = "Try to get connected producer configuration, please wait a mins ...";
-        }
-      }
+      const {
+        producerFieldData,
+        getProducerFail,
+        getTasksError,
+      } = getProducerFieldData(context.producer);
+      // additional producers hosted by this service
+      const producers = _.values(context.producers).map((producer) => {
+        const fieldData = getProducerFieldData(producer);
+        const globalId = producer.getConfigs().GLOBAL_ID;
+        return {
+          globalId,
+          type: producer.type(),
+          url: `/producers/${globalId}`,
+          paused: producer.paused(),
+          circuit: producer.bitskyCircuitBreaker().state(),
+          // admin routes are disabled without security key
+          adminEnabled: !!adminSecurityKey(context, producer),
+          producerFieldData: JSON.stringify(fieldData.producerFieldData, null, 2),
+          getProducerFail: fieldData.getProducerFail,
+          getTasksError: fieldData.getTasksError,
+        };
+      });
 
       const logConfig = {
         combineLog: path.join(
@@ -51,9 +92,14 @@ function indexRouter(context, indexOptions) {
         docBaseURL: "https://docs.bitsky.ai",
         logConfig: logConfig,
         items: [],
-        configuration: JSON.stringify(configs, null, 2),
+        configuration: JSON.stringify(redactConfigs(configs), null, 2),
         producerFieldData: JSON.stringify(producerFieldData, null, 2),
-        getProducerFail: getProducerFail
+        getProducerFail: getProducerFail,
+        getTasksError: getTasksError,
+        paused: context.producer.paused(),
+        circuit: context.producer.bitskyCircuitBreaker().state(),
+        adminEnabled: !!adminSecurityKey(context),
+        producers,
       };
 
       // custom index data
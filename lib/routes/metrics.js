@@ -0,0 +1,22 @@
+const express = require("express");
+
+function metricsRouter(context) {
+  function initRouter(context) {
+    const router = express.Router();
+
+    // Prometheus text format
+    router.get("/", function (req, res, next) {
+      try {
+        res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+        res.send(context.metrics.render());
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    return router;
+  }
+  return initRouter(context);
+}
+
+module.exports = metricsRouter;
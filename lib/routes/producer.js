@@ -1,11 +1,225 @@
 const express = require("express");
+const _ = require("lodash");
+const adminAuth = require("./adminAuth");
 
+function summarizeDeadLetter(entry) {
+  return {
+    id: entry.id,
+    createdAt: entry.createdAt,
+    deadAt: entry.deadAt,
+    deadReason: entry.deadReason,
+    attempts: entry.attempts,
+    lastError: entry.lastError,
+    retailer: {
+      globalId: _.get(entry, "data.retailer.globalId"),
+      baseURL: _.get(entry, "data.retailer.baseURL"),
+    },
+    tasks: _.size(_.get(entry, "data.tasks")),
+  };
+}
+
+/**
+ * Convert query value to timestamp, support timestamp and date string, like `2020-10-01T10:00:00Z`
+ * @param {string} value - query value
+ *
+ * @returns {number|undefined}
+ */
+function toTimestamp(value) {
+  if (!value) {
+    return undefined;
+  }
+  const timestamp = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return _.isFinite(timestamp) ? timestamp : undefined;
+}
+
+/**
+ * Control state of a producer
+ * @param {Producer} producer - producer
+ */
+function controlStatus(producer) {
+  return {
+    paused: producer.paused(),
+    polling: producer.polling(),
+    draining: producer.draining(),
+    jobId: producer.jobId(),
+    nextPollingAt: producer.nextPollingAt(),
+  };
+}
+
+/**
+ * Producer this request manages. Routes mounted by `/producers/:globalId` set `req.producer`, otherwise it is default producer
+ */
+function getProducer(req, context) {
+  return req.producer || context.producer;
+}
+
+/**
+ * Routes to manage a producer, mounted by `/producer` for default producer, and `/producers/:globalId` for each producer
+ * @param {object} context - baseservice's context
+ */
 function producerRouter(context){
   function initRouter(context){
     const router = express.Router();
+    const auth = adminAuth(context);
 
     router.get("/", function (req, res, next) {
-      res.json(context.producer.producerConfiguration());
+      res.json(getProducer(req, context).producerConfiguration());
+    });
+
+    router.get("/status", function (req, res, next) {
+      res.json(controlStatus(getProducer(req, context)));
+    });
+
+    // finish running job, then stop polling tasks
+    router.post("/pause", auth, function (req, res, next) {
+      try {
+        const producer = getProducer(req, context);
+        // don't wait running job, it can take minutes
+        producer.pause();
+        res.json(controlStatus(producer));
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    router.post("/resume", auth, async function (req, res, next) {
+      try {
+        const producer = getProducer(req, context);
+        await producer.resume();
+        res.json(controlStatus(producer));
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    // start a job now instead of wait for next polling
+    router.post("/run", auth, function (req, res, next) {
+      try {
+        const producer = getProducer(req, context);
+        const jobId = producer.runNow();
+        if (!jobId) {
+          return res.status(409).json(
+            _.merge(
+              {
+                status: 409,
+                message:
+                  "A job is running, or producer is draining, or producer configuration isn't valid",
+              },
+              controlStatus(producer)
+            )
+          );
+        }
+        res.json(controlStatus(producer));
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    router.get("/outbox", function (req, res, next) {
+      res.json({
+        bitsky: getProducer(req, context).bitskyOutbox().status(),
+        retailers: getProducer(req, context).retailerOutbox().status(),
+      });
+    });
+
+    // delivery report of last job, it contains Retailer info
+    router.get("/deliveries", auth, function (req, res, next) {
+      res.json(getProducer(req, context).lastDeliveryReport() || {});
+    });
+
+    // latest jobs, filter by `since`, `until` and `limit`. They contain delivery reports
+    router.get("/jobs", auth, function (req, res, next) {
+      try {
+        const limit = Number(req.query.limit);
+        res.json(
+          getProducer(req, context)
+            .jobHistory()
+            .list({
+              since: toTimestamp(req.query.since),
+              until: toTimestamp(req.query.until),
+              limit: _.isFinite(limit) && limit > 0 ? limit : 100,
+            })
+        );
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    router.get("/jobs/:jobId", auth, function (req, res, next) {
+      try {
+        const job = getProducer(req, context).jobHistory().get(req.params.jobId);
+        if (!job) {
+          return res.status(404).json({ status: 404 });
+        }
+        res.json(job);
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    // Retailer deliveries run out of attempts
+    router.get("/deadletters", auth, function (req, res, next) {
+      try {
+        res.json(
+          getProducer(req, context)
+            .retailerOutbox()
+            .deadLetters()
+            .map(summarizeDeadLetter)
+        );
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    router.get("/deadletters/:id", auth, function (req, res, next) {
+      try {
+        const entry = getProducer(req, context).retailerOutbox().deadLetter(req.params.id);
+        if (!entry) {
+          return res.status(404).json({ status: 404 });
+        }
+        res.json(entry);
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    router.post("/deadletters/replay", auth, async function (req, res, next) {
+      try {
+        const outbox = getProducer(req, context).retailerOutbox();
+        const entries = outbox.deadLetters();
+        for (let i = 0; i < entries.length; i++) {
+          await outbox.replayDeadLetter(entries[i].id);
+        }
+        outbox.flush();
+        res.json({ replayed: entries.length });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    router.post("/deadletters/:id/replay", auth, async function (req, res, next) {
+      try {
+        const outbox = getProducer(req, context).retailerOutbox();
+        const entry = await outbox.replayDeadLetter(req.params.id);
+        if (!entry) {
+          return res.status(404).json({ status: 404 });
+        }
+        outbox.flush();
+        res.json(summarizeDeadLetter(entry));
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    router.delete("/deadletters/:id", auth, async function (req, res, next) {
+      try {
+        const removed = await getProducer(req, context)
+          .retailerOutbox()
+          .removeDeadLetter(req.params.id);
+        res.status(removed ? 200 : 404).json({ status: removed ? 200 : 404 });
+      } catch (err) {
+        next(err);
+      }
     });
 
     return router;
@@ -0,0 +1,53 @@
+const express = require("express");
+const producerRouter = require("./producer");
+
+/**
+ * Summary of a producer
+ * @param {Producer} producer - producer
+ */
+function summarizeProducer(producer) {
+  return {
+    globalId: producer.getConfigs().GLOBAL_ID,
+    type: producer.type(),
+    url: `/producers/${producer.getConfigs().GLOBAL_ID}`,
+    configuration: producer.producerConfiguration(),
+    error: producer.producerError() || undefined,
+    jobId: producer.jobId(),
+    paused: producer.paused(),
+    polling: producer.polling(),
+    draining: producer.draining(),
+  };
+}
+
+function producersRouter(context) {
+  function initRouter(context) {
+    const router = express.Router();
+
+    // all producers hosted by this service
+    router.get("/", function (req, res, next) {
+      res.json(context.baseservice.producers().map(summarizeProducer));
+    });
+
+    // manage each producer, same routes as `/producer`
+    router.use(
+      "/:globalId",
+      function (req, res, next) {
+        const producer = context.baseservice.producer(req.params.globalId);
+        if (!producer) {
+          return res.status(404).json({
+            status: 404,
+            message: `Cannot find producer ${req.params.globalId}`,
+          });
+        }
+        req.producer = producer;
+        next();
+      },
+      producerRouter(context)
+    );
+
+    return router;
+  }
+  return initRouter(context);
+}
+
+module.exports = producersRouter;
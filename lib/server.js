@@ -22,8 +22,17 @@ const createMyLogger = require("./utils/logger");
 const indexRouter = require("./routes/index");
 const healthRouter = require("./routes/health");
 const producerRouter = require("./routes/producer");
+const producersRouter = require("./routes/producers");
+const metricsRouter = require("./routes/metrics");
 const Producer = require("./producer");
 const constants = require("./utils/constants");
+const { Metrics } = require("./utils/metrics");
+const { validateMiddleware } = require("./utils/middleware");
+const {
+  signRequest,
+  verifySignature,
+  signatureVerifier,
+} = require("./utils/signature");
 
 const DEFAULT_CONFIGS = {
   PORT: 8090,
@@ -34,6 +43,10 @@ const DEFAULT_CONFIGS = {
   ERROR_LOG_FILE_NAME: constants.ERROR_LOG_FILE_NAME,
   COMBINED_LOG_FILE_NAME: constants.COMBINED_LOG_FILE_NAME,
   LOG_LEVEL: constants.LOG_LEVEL,
+  SHUTDOWN_GRACE_PERIOD: constants.SHUTDOWN_GRACE_PERIOD,
+  METRICS_ENABLED: constants.METRICS_ENABLED,
+  HEALTH_BITSKY_TIMEOUT: constants.HEALTH_BITSKY_TIMEOUT,
+  HEALTH_OUTBOX_MAX: constants.HEALTH_OUTBOX_MAX,
 };
 
 // whether exist process
@@ -47,9 +60,13 @@ class BaseService {
     this.context = null;
     this.__publicFolders = [];
     this.__manuallySetConfigs = {};
+    // listeners and middlewares added to BaseService, they apply to all producers, include producers added later
+    this.__listeners = []; // `{event, listener, handler}`, `handler` is added to producers
+    this.__middlewares = [];
     // initial context for this service
     this.context = new Context();
     this.context.baseservice = this;
+    this.context.metrics = new Metrics();
 
     if (configs) {
       this.setConfigs(configs);
@@ -66,6 +83,7 @@ class BaseService {
 
     if (!this.context.producer) {
       this.context.producer = new Producer(this.context, configs);
+      this.context.metrics.addProducer(this.context.producer);
     }
   }
 
@@ -77,6 +95,18 @@ class BaseService {
       NODE_ENV: process.env.NODE_ENV,
       PRODUCER_HOME: process.env.PRODUCER_HOME,
       LOG_LEVEL: process.env.LOG_LEVEL,
+      ADMIN_SECURITY_KEY: process.env.ADMIN_SECURITY_KEY,
+      SHUTDOWN_GRACE_PERIOD:
+        process.env.SHUTDOWN_GRACE_PERIOD &&
+        Number(process.env.SHUTDOWN_GRACE_PERIOD),
+      METRICS_ENABLED:
+        process.env.METRICS_ENABLED &&
+        _.includes(["true", "1"], _.toLower(process.env.METRICS_ENABLED)),
+      HEALTH_BITSKY_TIMEOUT:
+        process.env.HEALTH_BITSKY_TIMEOUT &&
+        Number(process.env.HEALTH_BITSKY_TIMEOUT),
+      HEALTH_OUTBOX_MAX:
+        process.env.HEALTH_OUTBOX_MAX && Number(process.env.HEALTH_OUTBOX_MAX),
     };
 
     let producerConfigs = {};
@@ -116,6 +146,175 @@ class BaseService {
     return this.context.producer.worker(worker);
   }
 
+  /**
+   * Host an additional producer in this service. It has its own GLOBAL_ID, security key, type, worker and job loop,
+   * and stores runtime data in `PRODUCER_HOME/producers/<GLOBAL_ID>`. Configs that aren't passed are same as default producer's, like `BITSKY_BASE_URL`,
+   * except `GLOBAL_ID` and `BITSKY_SECURITY_KEY`
+   * @param {object} configs - producer configs, `GLOBAL_ID` is required
+   *
+   * @throws {Error} if `GLOBAL_ID` is invalid or already exists
+   * @returns {Producer} - use it to set type, worker, middlewares and listen to events
+   */
+  addProducer(configs) {
+    const globalId = _.get(configs, "GLOBAL_ID");
+    if (!_.isString(globalId) || !/^[\w-]+$/.test(globalId)) {
+      throw new Error(
+        `${globalId} isn't valid, GLOBAL_ID must only contain letters, numbers, "_" and "-"`
+      );
+    }
+    if (this.producer(globalId)) {
+      throw new Error(`Producer ${globalId} already exists`);
+    }
+    const context = new Context();
+    context.baseservice = this;
+    context.logger = this.context.logger;
+    context.producers = this.context.producers;
+    context.metrics = this.context.metrics;
+    context.producerFolder = path.join(constants.PRODUCERS_FOLDER, globalId);
+    // inherit configs manually set to default producer, but not its identity
+    context.producer = new Producer(
+      context,
+      _.assign(
+        _.omit(this.__manuallySetConfigs, ["GLOBAL_ID", "BITSKY_SECURITY_KEY"]),
+        configs
+      )
+    );
+    this.context.producers[globalId] = context.producer;
+    this.context.metrics.addProducer(context.producer);
+    this.__middlewares.forEach((middleware) => context.producer.use(middleware));
+    this.__listeners.forEach((item) =>
+      context.producer.on(item.event, item.handler)
+    );
+    // service already started, so start it directly
+    if (this.server) {
+      context.producer.start();
+    }
+
+    return context.producer;
+  }
+
+  /**
+   * Stop an additional producer and remove it from this service
+   * @param {string} globalId - GLOBAL_ID of the producer
+   *
+   * @returns {boolean} - **false** means cannot find it
+   */
+  async removeProducer(globalId) {
+    const producer = this.context.producers[globalId];
+    if (!producer) {
+      return false;
+    }
+    delete this.context.producers[globalId];
+    this.context.metrics.removeProducer(producer);
+    this.__listeners.forEach((item) =>
+      producer.removeListener(item.event, item.handler)
+    );
+    await producer.drain(
+      Number(this.getConfigs().SHUTDOWN_GRACE_PERIOD) * 1000
+    );
+    await producer.stop();
+    return true;
+  }
+
+  /**
+   * Get a producer hosted by this service
+   * @param {string} [globalId] - GLOBAL_ID of the producer, if empty return default producer
+   *
+   * @returns {Producer|undefined}
+   */
+  producer(globalId) {
+    const defaultProducer = this.context.producer;
+    if (!globalId) {
+      return defaultProducer;
+    }
+    if (
+      defaultProducer &&
+      _.get(defaultProducer.getConfigs(), "GLOBAL_ID") === globalId
+    ) {
+      return defaultProducer;
+    }
+    return this.context.producers[globalId];
+  }
+
+  /**
+   * Get all producers hosted by this service, the first one is default producer
+   * @returns {array}
+   */
+  producers() {
+    return _.compact([this.context.producer].concat(_.values(this.context.producers)));
+  }
+
+  /**
+   * Add a middleware to worker of all producers, include producers added later by `addProducer`, see `Producer.use`.
+   * Use `producer.use` to add a middleware to one producer
+   * @param {object} middleware - `{beforeTask, afterTask, onError}`
+   *
+   * @returns {object} - BaseService
+   */
+  use(middleware) {
+    validateMiddleware(middleware);
+    this.__middlewares.push(middleware);
+    this.producers().forEach((producer) => producer.use(middleware));
+    return this;
+  }
+
+  /**
+   * Listen to lifecycle event of all producers, include producers added later by `addProducer`. Event names are in `BaseService.EVENTS`,
+   * `payload.globalId` is which producer emits it. Use `producer.on` to listen to one producer
+   * @param {string} event - event name
+   * @param {Function} listener - `listener(payload)`
+   *
+   * @returns {object} - BaseService
+   */
+  on(event, listener) {
+    this.__addListener(event, listener, listener);
+    return this;
+  }
+
+  /**
+   * Same as `on`, but listener is only called once, no matter which producer emits it
+   * @param {string} event - event name
+   * @param {Function} listener - `listener(payload)`
+   *
+   * @returns {object} - BaseService
+   */
+  once(event, listener) {
+    const handler = (...args) => {
+      this.off(event, listener);
+      listener(...args);
+    };
+    this.__addListener(event, listener, handler);
+    return this;
+  }
+
+  /**
+   * Remove a listener added by `on` or `once`
+   * @param {string} event - event name
+   * @param {Function} listener - listener to remove
+   *
+   * @returns {object} - BaseService
+   */
+  off(event, listener) {
+    const index = _.findIndex(
+      this.__listeners,
+      (item) => item.event === event && item.listener === listener
+    );
+    if (index === -1) {
+      return this;
+    }
+    const item = this.__listeners[index];
+    this.__listeners.splice(index, 1);
+    this.producers().forEach((producer) =>
+      producer.removeListener(event, item.handler)
+    );
+    return this;
+  }
+
+  __addListener(event, listener, handler) {
+    this.__listeners.push({ event, listener, handler });
+    this.producers().forEach((producer) => producer.on(event, handler));
+  }
+
   getDefaultPublic() {
     return path.join(__dirname, "public");
   }
@@ -220,6 +419,10 @@ class BaseService {
       this.app.use("/", indexRouter(this.context, indexOptions));
       this.app.use("/health", healthRouter(this.context));
       this.app.use("/producer", producerRouter(this.context));
+      this.app.use("/producers", producersRouter(this.context));
+      if (this.getConfigs().METRICS_ENABLED) {
+        this.app.use("/metrics", metricsRouter(this.context));
+      }
       this.app.use((req, res, next) => {
         let folder = path.join(__dirname, "public");
         if (indexOptions.home) {
@@ -248,7 +451,7 @@ class BaseService {
           port = configs["PORT"];
         }
 
-        this.context.producer.start();
+        this.producers().forEach((producer) => producer.start());
 
         this.server = this.app.listen(port, () => {
           console.info(
@@ -266,17 +469,15 @@ class BaseService {
           // maybe server was already destory, so need to make sure server still exist
           if (this.server) {
             const type = this.type ? this.type() : "Unknown";
-            console.info(`SIGTERM received. Closing Server - {{ ${type} }}" ..`);
-            processExit = true;
-            this.server.destroy();
+            console.info(`SIGTERM received. Draining Server - {{ ${type} }}" ..`);
+            this.shutdown();
           }
         });
         process.on("SIGINT", () => {
           if (this.server) {
             const type = this.type ? this.type() : "Unknown";
-            console.info(`SIGINT(Ctrl-C) received. Closing Server - {{ ${type} }} ..`);
-            processExit = true;
-            this.server.destroy();
+            console.info(`SIGINT(Ctrl-C) received. Draining Server - {{ ${type} }} ..`);
+            this.shutdown();
           }
         });
 
@@ -296,15 +497,43 @@ class BaseService {
     });
   }
 
+  /**
+   * Stop polling tasks, wait running job to finish and deliver collected tasks
+   * @param {number} [gracePeriod] - (Unit: Second) max time to wait running job. Default `SHUTDOWN_GRACE_PERIOD`
+   */
+  async drain(gracePeriod) {
+    if (!_.isFinite(gracePeriod)) {
+      gracePeriod = Number(this.getConfigs().SHUTDOWN_GRACE_PERIOD);
+    }
+    if (this.context) {
+      await Promise.all(
+        this.producers().map((producer) => producer.drain(gracePeriod * 1000))
+      );
+    }
+  }
+
+  /**
+   * Drain producer, then close server and exit process. Receive signal again during draining will exit immediately
+   */
+  async shutdown() {
+    if (processExit) {
+      console.info("Signal received again, exit immediately");
+      process.exit(1);
+    }
+    processExit = true;
+    await this.drain();
+    if (this.server) {
+      this.server.destroy();
+    }
+  }
+
   /**
    * Destory this producer
    */
   async stop() {
     try {
-      // stop producer
-      if (this.context.producer) {
-        await this.context.producer.stop();
-      }
+      // stop producers
+      await Promise.all(this.producers().map((producer) => producer.stop()));
       await new Promise((resolve) => {
         this.server.destroy(() => {
           resolve(true);
@@ -316,6 +545,7 @@ class BaseService {
       this.app = undefined;
       if(this.context){
         this.context.producer = undefined;
+        this.context.producers = {};
         this.context.logger = undefined;
       }
       this.context = undefined;
@@ -325,4 +555,13 @@ class BaseService {
   }
 }
 
+// producer's lifecycle events, like `BaseService.EVENTS.jobEnded`
+BaseService.EVENTS = constants.PRODUCER_EVENTS;
+// helpers to sign and verify requests, Retailers can use them to verify signed requests
+BaseService.signature = {
+  signRequest,
+  verifySignature,
+  signatureVerifier,
+};
+
 module.exports = BaseService;
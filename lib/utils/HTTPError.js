@@ -5,7 +5,7 @@ const _ = require('lodash');
  */
 class CustomError extends Error {
   constructor(error, ...args) {
-    super();
+    super(_.get(error, "message"));
     const data = _.get(error, "response.data");
     const code = _.get(data, "code");
     this.code = code;
@@ -32,6 +32,8 @@ class HTTPError extends CustomError {
   constructor(error, ...args) {
     super(error, args);
     this.status = _.get(error, "response.status");
+    // Node.js or axios error code, like `ECONNRESET`, `ECONNABORTED`
+    this.errorCode = _.get(error, "code");
     this.statusText = _.get(error, "response.statusText");
     this.response = {
       headers: _.get(error, "response.headers")
@@ -48,6 +50,7 @@ class HTTPError extends CustomError {
     let jsonData = super.toJSON();
     jsonData.status = this.status;
     jsonData.statusText = this.statusText;
+    jsonData.errorCode = this.errorCode;
     jsonData.message = this.message;
     jsonData.response = this.response;
     jsonData.request = this.request;
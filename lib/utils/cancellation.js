@@ -0,0 +1,192 @@
+const EventEmitter = require("events");
+
+/**
+ * Error used to cancel in-flight work, like job timeout or task timeout
+ * @class
+ */
+class CancelError extends Error {
+  /**
+   * @constructor CancelError
+   * @param {string} message - why it is cancelled
+   * @param {string} [code] - Default `CANCELLED`. Like `JOB_TIMEOUT`, `TASK_TIMEOUT`
+   */
+  constructor(message, code) {
+    super(message || "Cancelled");
+    this.name = "CancelError";
+    this.code = code || "CANCELLED";
+    this.cancelled = true;
+    // cancelled work shouldn't be retried
+    this.retryable = false;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      code: this.code,
+      message: this.message,
+    };
+  }
+}
+
+/**
+ * A signal similar to `AbortSignal`, works on all Node.js versions producer supports
+ * @class
+ */
+class CancelSignal {
+  constructor() {
+    this.aborted = false;
+    this.reason = undefined;
+    this.__emitter = new EventEmitter();
+    // a job signal is followed by each task's signal
+    this.__emitter.setMaxListeners(0);
+  }
+
+  /**
+   * @param {string} type - only support `abort`
+   * @param {Function} listener - `listener(reason)`
+   */
+  addEventListener(type, listener) {
+    this.__emitter.on(type, listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.__emitter.removeListener(type, listener);
+  }
+
+  /**
+   * @throws {CancelError} if signal was aborted, throw the reason
+   */
+  throwIfAborted() {
+    if (this.aborted) {
+      throw this.reason;
+    }
+  }
+}
+
+/**
+ * A controller similar to `AbortController`, and can follow other signals or abort after timeout
+ *
+ * @example
+ * const controller = new CancelController().follow(jobSignal).timeout(60000, "task timeout");
+ * await http({ url, signal: controller.signal });
+ * controller.dispose();
+ *
+ * @class
+ */
+class CancelController {
+  constructor() {
+    this.signal = new CancelSignal();
+    this.__disposers = [];
+  }
+
+  /**
+   * Abort signal, it only can be aborted once
+   * @param {Error|string} [reason] - why it is aborted
+   */
+  abort(reason) {
+    if (this.signal.aborted) {
+      return;
+    }
+    if (!(reason instanceof Error)) {
+      reason = new CancelError(reason);
+    }
+    this.dispose();
+    this.signal.aborted = true;
+    this.signal.reason = reason;
+    this.signal.__emitter.emit("abort", reason);
+  }
+
+  /**
+   * Abort when other signal is aborted
+   * @param {CancelSignal} [signal] - parent signal
+   *
+   * @returns {CancelController}
+   */
+  follow(signal) {
+    if (!signal) {
+      return this;
+    }
+    if (signal.aborted) {
+      this.abort(signal.reason);
+      return this;
+    }
+    const listener = () => this.abort(signal.reason);
+    signal.addEventListener("abort", listener);
+    this.__disposers.push(() => signal.removeEventListener("abort", listener));
+    return this;
+  }
+
+  /**
+   * Abort after `ms` milliseconds
+   * @param {number} ms - timeout value
+   * @param {string} [message] - timeout message
+   * @param {string} [code] - Default `TIMEOUT`
+   *
+   * @returns {CancelController}
+   */
+  timeout(ms, message, code) {
+    const handler = setTimeout(() => {
+      this.abort(new CancelError(message || `Timeout after ${ms} ms`, code || "TIMEOUT"));
+    }, ms);
+    this.__disposers.push(() => clearTimeout(handler));
+    return this;
+  }
+
+  /**
+   * Release timers and listeners, call it when work is done
+   */
+  dispose() {
+    const disposers = this.__disposers;
+    this.__disposers = [];
+    disposers.forEach((dispose) => dispose());
+  }
+}
+
+/**
+ * Listen to abort of a signal
+ * @param {CancelSignal} signal - signal, also support `AbortSignal`
+ * @param {Function} listener - `listener(reason)`
+ *
+ * @returns {Function} - call it to remove listener
+ */
+function onAbort(signal, listener) {
+  if (!signal) {
+    return () => {};
+  }
+  if (signal.aborted) {
+    listener(signal.reason);
+    return () => {};
+  }
+  const handler = () => listener(signal.reason);
+  signal.addEventListener("abort", handler);
+  return () => signal.removeEventListener("abort", handler);
+}
+
+/**
+ * Sleep `ms` milliseconds, wake up and reject when signal is aborted
+ * @param {number} ms - milliseconds
+ * @param {CancelSignal} [signal] - cancel signal
+ *
+ * @returns {Promise}
+ */
+function cancellableSleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    let removeListener = () => {};
+    const handler = setTimeout(() => {
+      removeListener();
+      resolve();
+    }, ms);
+    removeListener = onAbort(signal, (reason) => {
+      clearTimeout(handler);
+      reject(reason || new CancelError());
+    });
+  });
+}
+
+module.exports = {
+  CancelError,
+  CancelSignal,
+  CancelController,
+  onAbort,
+  cancellableSleep,
+};
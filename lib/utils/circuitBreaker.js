@@ -0,0 +1,222 @@
+const _ = require("lodash");
+const constants = require("./constants");
+const { isRetryableError } = require("./retry");
+
+const STATES = {
+  closed: "closed",
+  open: "open",
+  halfOpen: "half-open",
+};
+
+/**
+ * Error thrown when circuit is open, request isn't sent
+ * @class
+ */
+class CircuitOpenError extends Error {
+  /**
+   * @constructor CircuitOpenError
+   * @param {string} name - circuit name, like `bitsky`
+   * @param {number} [nextAttemptAt] - timestamp, when circuit allows a trial request
+   */
+  constructor(name, nextAttemptAt) {
+    super(`${name} circuit is open, request isn't sent`);
+    this.name = "CircuitOpenError";
+    this.code = "CIRCUIT_OPEN";
+    this.nextAttemptAt = nextAttemptAt;
+    // circuit is open because of transient errors, request can be sent later
+    this.retryable = true;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      code: this.code,
+      message: this.message,
+      nextAttemptAt: this.nextAttemptAt,
+    };
+  }
+}
+
+/**
+ * A circuit breaker, stop sending requests to a server when it keeps failing.
+ *
+ * - `closed`: requests are sent. After `failureThreshold` transient errors in a row, circuit is `open`
+ * - `open`: requests fail with `CircuitOpenError` immediately. After `resetTimeout`, circuit is `half-open`
+ * - `half-open`: only one trial request is sent, if it is successful circuit is `closed`, otherwise `open` again
+ *
+ * Only transient errors, like `ECONNREFUSED` or http status `503`, are counted. Error like `401` means server is up
+ *
+ * @example
+ * const breaker = new CircuitBreaker({ name: "bitsky", failureThreshold: 5, resetTimeout: 60 * 1000 });
+ * const res = await breaker.exec(() => http(config, context));
+ *
+ * @class
+ */
+class CircuitBreaker {
+  /**
+   * @constructor CircuitBreaker
+   * @param {object} options
+   * @param {string} options.name - circuit name, used in logs and errors
+   * @param {number} [options.failureThreshold] - how many transient errors in a row open circuit. Default `BITSKY_CIRCUIT_FAILURE_THRESHOLD`
+   * @param {number} [options.resetTimeout] - (Unit: Millisecond) how long circuit stays open before a trial request. Default `BITSKY_CIRCUIT_RESET_TIMEOUT`
+   * @param {Function} [options.onStateChange] - `onStateChange(previous, current)`, called when state changes
+   * @param {object} [options.logger] - logger, default is `console`
+   */
+  constructor(options) {
+    this.__name = options.name;
+    this.__failureThreshold =
+      options.failureThreshold || constants.BITSKY_CIRCUIT_FAILURE_THRESHOLD;
+    this.__resetTimeout =
+      options.resetTimeout || constants.BITSKY_CIRCUIT_RESET_TIMEOUT * 1000;
+    this.__onStateChange = options.onStateChange;
+    this.__logger = options.logger || console;
+    this.__state = STATES.closed;
+    this.__failures = 0; // transient errors in a row
+    this.__openedAt = undefined;
+    this.__trialRunning = false; // a trial request is running in half-open
+    this.__lastError = undefined;
+  }
+
+  __setState(state) {
+    const previous = this.__state;
+    if (previous === state) {
+      return;
+    }
+    this.__state = state;
+    const log = state === STATES.open ? "warn" : "info";
+    this.__logger[log](
+      `[CircuitBreaker] ${this.__name} circuit is ${state}, it was ${previous}`
+    );
+    if (this.__onStateChange) {
+      try {
+        this.__onStateChange(previous, state);
+      } catch (err) {
+        this.__logger.error(
+          `[CircuitBreaker] onStateChange fail. Error: ${err.message}`,
+          { error: err }
+        );
+      }
+    }
+  }
+
+  /**
+   * Current state, `closed`, `open` or `half-open`
+   * @returns {string}
+   */
+  state() {
+    if (
+      this.__state === STATES.open &&
+      Date.now() - this.__openedAt >= this.__resetTimeout
+    ) {
+      this.__setState(STATES.halfOpen);
+    }
+    return this.__state;
+  }
+
+  /**
+   * State and details, used by health check and index page
+   * @returns {object} - `{state, failures, openedAt, nextAttemptAt, lastError}`
+   */
+  status() {
+    const state = this.state();
+    return {
+      state,
+      failures: this.__failures,
+      openedAt: state === STATES.closed ? undefined : this.__openedAt,
+      nextAttemptAt:
+        state === STATES.open ? this.__openedAt + this.__resetTimeout : undefined,
+      lastError: this.__lastError,
+    };
+  }
+
+  /**
+   * Whether a request can be sent now
+   * @returns {boolean}
+   */
+  allowRequest() {
+    const state = this.state();
+    if (state === STATES.closed) {
+      return true;
+    }
+    return state === STATES.halfOpen && !this.__trialRunning;
+  }
+
+  /**
+   * Record a successful request
+   */
+  onSuccess() {
+    this.__failures = 0;
+    this.__lastError = undefined;
+    this.__openedAt = undefined;
+    this.__setState(STATES.closed);
+  }
+
+  /**
+   * Record a failed request, only transient errors are counted
+   * @param {Error} err - error of the request
+   */
+  onFailure(err) {
+    if (!isRetryableError(err)) {
+      // server responded, it is up
+      this.onSuccess();
+      return;
+    }
+    this.__failures++;
+    this.__lastError = {
+      at: Date.now(),
+      status: _.get(err, "status"),
+      code: _.get(err, "code"),
+      message: _.get(err, "message"),
+    };
+    if (
+      this.__state === STATES.halfOpen ||
+      this.__failures >= this.__failureThreshold
+    ) {
+      this.__openedAt = Date.now();
+      this.__setState(STATES.open);
+    }
+  }
+
+  /**
+   * Send a request through circuit
+   * @param {Function} fn - `fn()` sends the request and returns a promise
+   *
+   * @returns {Promise} - result of `fn`, or reject `CircuitOpenError` if circuit is open
+   */
+  async exec(fn) {
+    if (!this.allowRequest()) {
+      throw new CircuitOpenError(
+        this.__name,
+        this.__state === STATES.open
+          ? this.__openedAt + this.__resetTimeout
+          : undefined
+      );
+    }
+    const trial = this.__state === STATES.halfOpen;
+    if (trial) {
+      this.__trialRunning = true;
+    }
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (err) {
+      // request cancelled by job doesn't tell whether server is up
+      if (!_.get(err, "cancelled")) {
+        this.onFailure(err);
+      }
+      throw err;
+    } finally {
+      if (trial) {
+        this.__trialRunning = false;
+      }
+    }
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = {
+  CircuitBreaker,
+  CircuitOpenError,
+};
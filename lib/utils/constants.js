@@ -12,12 +12,20 @@ module.exports = {
     type: "BROWSEREXTENSION",
     private: true,
     concurrent: 1,
-    pollingInterval: 30, // (Unit: Second) How frequently to poll whether need to collect tasks
+    pollingInterval: 30, // (Unit: Second) How long to wait after a poll didn't get tasks, later polls are exponential backoff
+    minPollingInterval: 0, // (Unit: Second) How long to wait before next poll while tasks are returned
+    maxPollingInterval: 120, // (Unit: Second) Max time to wait between two polls
     maxWaitingTime: 5, // (Unit: Second)
     maxCollect: 50, // (Unit: Second) Max crawl times, when reach this time, close browser to release memory
     idelTime: 10, // (Unit: Second) After close browser, idle system for **IDLE_TIME**
-    timeout: 90,
-    maxRetry: 1, // Max retry time that producer will try to execute an task
+    timeout: 90, // (Unit: Second) Request timeout, include requests send to BitSky, Retailer and crawled sites
+    jobTimeout: 180, // (Unit: Second) A collect job's max time
+    taskTimeout: 120, // (Unit: Second) A task's max time, include retries
+    maxRetry: 1, // Max retry time that producer will try to execute an task, only transient errors are retried
+    retryDelay: 1, // (Unit: Second) Delay before the first retry, later retries are exponential backoff
+    retryMaxDelay: 30, // (Unit: Second) Max delay between two retries
+    retryFactor: 2, // Exponential backoff factor
+    retryJitter: 0.2, // Randomize delay by +/- 20% to avoid retrying at the same time
   },
   SERVICE_NAME: packageJson.name,
   PRODUCER_HOME: path.join(__dirname, "../public"),
@@ -35,9 +43,49 @@ module.exports = {
   BITSKYMETADATA_HEALTH_METHOD: "GET",
   BITSKYMETADATA_API_KEY: undefined,
   BITSKYSECURITY_KEY_PATH: "/apis/securitykey",
+  // Default timeout values, used when producer configuration doesn't have them
   COLLECT_JOB_TIMEOUT: 3 * 60 * 1000, // A collect job's max time
+  COLLECT_TASK_TIMEOUT: 2 * 60 * 1000, // A task's max time, include retries
   CUSTOM_FUNCTION_TIMEOUT: 1 * 60 * 1000, // Timeout value for a customFun call
   REQUEST_TIMEOUT: 30 * 1000, // Request timeout, include send to Retailer or BitSky
+  METRICS_ENABLED: false, // whether to serve `/metrics`
+  HEALTH_BITSKY_TIMEOUT: 5 * 60, // (Unit: Second) not ready if cannot contact BitSky longer than this
+  BITSKY_CIRCUIT_FAILURE_THRESHOLD: 5, // transient errors in a row open the circuit of BitSky, requests aren't sent when it is open
+  BITSKY_CIRCUIT_RESET_TIMEOUT: 60, // (Unit: Second) how long the circuit of BitSky stays open before a trial request
+  HEALTH_OUTBOX_MAX: 1000, // not ready if entries waiting to replay are more than this
+  JOB_STUCK_GRACE_PERIOD: 60 * 1000, // a job runs longer than its timeout plus this is stuck
+  SHUTDOWN_GRACE_PERIOD: 30, // (Unit: Second) When receive SIGTERM or SIGINT, how long to wait running job to finish
+  SHUTDOWN_DELIVERY_TIMEOUT: 10, // (Unit: Second) Part of SHUTDOWN_GRACE_PERIOD kept to send collected tasks to Retailers and BitSky, at most half of it
+  MIN_TIMEOUT: 1000, // Min value of configurable timeout
+  MAX_TIMEOUT: 24 * 60 * 60 * 1000, // Max value of configurable timeout
+  // Outbox stores data failed to send, and replay them later
+  OUTBOX_FOLDER: "outbox", // relative to `PRODUCER_HOME`
+  OUTBOX_FLUSH_INTERVAL: 5 * 1000, // How frequently to check whether outbox has data need to replay
+  OUTBOX_RETRY_DELAY: 5 * 1000, // Delay before the first replay, later replays are exponential backoff
+  OUTBOX_RETRY_MAX_DELAY: 5 * 60 * 1000, // Max delay between two replays
+  OUTBOX_MAX_AGE: 24 * 60 * 60 * 1000, // Data older than this is dropped
+  DEAD_LETTER_FOLDER: "deadletters", // relative to `PRODUCER_HOME`, store data run out of attempts
+  JOB_HISTORY_FOLDER: "jobs", // relative to `PRODUCER_HOME`, store job history
+  JOB_HISTORY_SIZE: 1000, // how many jobs are kept in job history
+  PRODUCERS_FOLDER: "producers", // relative to `PRODUCER_HOME`, each additional producer stores runtime data in `producers/<GLOBAL_ID>`
+  RETAILER_MAX_BATCH_SIZE: 100, // max tasks send to a Retailer in one request
+  RETAILER_MAX_BATCH_BYTES: 10 * 1024 * 1024, // 10MB, max bytes of tasks send to a Retailer in one request
+  COMPRESSION_THRESHOLD: 1024, // (Unit: Byte) request body smaller than this is sent plain when compression is enabled
+  DELIVERY_MODE: "batch", // `batch` sends tasks when job ends, `stream` sends finished tasks in micro-batches while job is running
+  DELIVERY_FLUSH_SIZE: 10, // in `stream` mode, send when this many tasks are finished
+  DELIVERY_FLUSH_INTERVAL: 5, // (Unit: Second) in `stream` mode, max time a finished task waits to be sent
+  RETAILER_RETRY_MAX_ATTEMPTS: 5, // Max times to send tasks to a Retailer, `1` means don't retry
+  RETAILER_RETRY_DELAY: 10, // (Unit: Second) Delay before the first retry to send to Retailer
+  RETAILER_RETRY_MAX_DELAY: 5 * 60, // (Unit: Second) Max delay between two retries to send to Retailer
+  RETRYABLE_HTTP_STATUS: [408, 429, 500, 502, 503, 504], // Http status that are treated as transient errors
+  RETRYABLE_ERROR_CODES: [
+    "ECONNRESET",
+    "ECONNREFUSED",
+    "ECONNABORTED",
+    "ETIMEDOUT",
+    "EPIPE",
+    "EAI_AGAIN",
+  ], // Network error codes that are treated as transient errors
 
   // unconfigurable from option
   POLLING_INTERVAL_CHECK_SERVER_STATUS: 60 * 1000,
@@ -46,6 +94,30 @@ module.exports = {
   X_REQUESTED_WITH: "x-bitsky-requested-with", // who send this request
   X_SERIAL_ID: "x-bitsky-serial-id", // request serial id
   X_JOB_ID: "x-bitsky-job-id", // each request is a job
+  X_SIGNATURE_HEADER: "x-bitsky-signature", // HMAC signature of a signed request
+  X_SIGNATURE_TIMESTAMP_HEADER: "x-bitsky-timestamp", // when a signed request is sent
+  X_CONTENT_SHA256_HEADER: "x-bitsky-content-sha256", // body digest of a signed request
+  SIGNATURE_WINDOW: 5 * 60, // (Unit: Second) signed request older or newer than this is rejected, to prevent replay
+  REDACTED_HEADERS: [
+    "x-bitsky-security-key",
+    "authorization",
+    "proxy-authorization",
+    "x-api-key",
+    "cookie",
+  ], // values of those headers are redacted in logs
+  // Events emitted by producer
+  PRODUCER_EVENTS: {
+    configChanged: "config-changed",
+    pollingStarted: "polling-started",
+    pollingStopped: "polling-stopped",
+    jobStarted: "job-started",
+    taskFinished: "task-finished",
+    taskFailed: "task-failed",
+    jobEnded: "job-ended",
+    retailerDelivered: "retailer-delivered",
+    bitskyError: "bitsky-error",
+    circuitChanged: "circuit-changed",
+  },
   RETAILER_STATE: {
     draft: "DRAFT",
     configured: "CONFIGURED",
@@ -4,6 +4,9 @@ class Context{
     this.producer= undefined;
     this.logger = console;
     this.baseservice = undefined;
+    this.metrics = undefined; // metrics shared by all producers
+    this.producers = {}; // additional producers hosted by baseservice, key is GLOBAL_ID
+    this.producerFolder = undefined; // folder relative to `PRODUCER_HOME` to store this producer's runtime data
   }
 }
 
@@ -1,11 +1,161 @@
 const axios = require("axios");
+const zlib = require("zlib");
 const _ = require("lodash");
 const uuid = require('uuid');
 const constants = require("./constants");
 const { HTTPError } = require("./HTTPError");
+const { CancelError, onAbort } = require("./cancellation");
+const { getTimeouts } = require("./timeouts");
+const { signRequest } = require("./signature");
 
+/**
+ * Status label of a request in metrics, http status or error code
+ */
+function metricsStatus(err) {
+  if (_.get(err, "status")) {
+    return _.toString(err.status);
+  }
+  if (_.get(err, "cancelled")) {
+    return "cancelled";
+  }
+  return _.get(err, "errorCode") || _.get(err, "code") || "error";
+}
+
+const COMPRESSORS = {
+  gzip: zlib.gzip,
+  deflate: zlib.deflate,
+};
+
+/**
+ * Compress request body if it is larger than threshold
+ * @param {object} config - axios request config, `data` and `headers` are changed
+ * @param {object} compress - `{encoding, threshold}`
+ * @param {object} logger - logger
+ *
+ * @returns {Promise}
+ */
+function compressBody(config, compress, logger) {
+  const encoding = _.toLower(_.get(compress, "encoding"));
+  if (!encoding || config.data === undefined || config.data === null) {
+    return Promise.resolve();
+  }
+  if (!COMPRESSORS[encoding]) {
+    logger.warn(`Compression ${encoding} isn't supported, send body plain`);
+    return Promise.resolve();
+  }
+  const body = Buffer.isBuffer(config.data)
+    ? config.data
+    : Buffer.from(
+        _.isString(config.data) ? config.data : JSON.stringify(config.data)
+      );
+  if (body.length < (_.get(compress, "threshold") || 0)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    COMPRESSORS[encoding](body, (err, compressed) => {
+      if (err) {
+        return reject(err);
+      }
+      if (!_.isString(config.data) && !Buffer.isBuffer(config.data)) {
+        config.headers["Content-Type"] = "application/json;charset=utf-8";
+      }
+      config.headers["Content-Encoding"] = encoding;
+      config.data = compressed;
+      resolve();
+    });
+  });
+}
+
+/**
+ * Path and query string of a request, same as `req.originalUrl` on receiver side
+ * @param {object} config - axios request config
+ *
+ * @returns {string}
+ */
+function requestPath(config) {
+  let url = config.url || "";
+  if (config.baseURL && !/^([a-z][a-z\d+\-.]*:)?\/\//i.test(url)) {
+    // same as how axios combines baseURL and url
+    url = `${config.baseURL.replace(/\/+$/, "")}/${url.replace(/^\/+/, "")}`;
+  }
+  const uri = new URL(
+    axios.getUri({
+      url,
+      params: config.params,
+      paramsSerializer: config.paramsSerializer,
+    }),
+    "http://localhost"
+  );
+  return uri.pathname + uri.search;
+}
+
+/**
+ * Sign request by HMAC instead of sending security key, see `utils/signature.js`
+ * @param {object} config - axios request config, `data` and `headers` are changed
+ * @param {object} sign - `{key}`
+ */
+function signBody(config, sign) {
+  if (!_.get(sign, "key")) {
+    return;
+  }
+  let body = config.data;
+  if (
+    body !== undefined &&
+    body !== null &&
+    !_.isString(body) &&
+    !Buffer.isBuffer(body)
+  ) {
+    // sign exact bytes are sent
+    body = JSON.stringify(body);
+    config.data = body;
+    config.headers["Content-Type"] = "application/json;charset=utf-8";
+  }
+  // key isn't sent when request is signed
+  delete config.headers[constants.X_SECURITY_KEY_HEADER];
+  _.assign(
+    config.headers,
+    signRequest({
+      key: sign.key,
+      method: config.method,
+      path: requestPath(config),
+      body,
+    })
+  );
+}
+
+/**
+ * Send http request
+ * @param {object} config - axios request config
+ * @param {CancelSignal} [config.signal] - abort this request when signal is aborted
+ * @param {string} [config.target] - who receive this request, `bitsky`, `retailer` or `task`, used as label in metrics. Default `task`
+ * @param {object} [config.sign] - `{key}`, sign request by HMAC of method, path, timestamp and body digest, security key header isn't sent
+ * @param {object} [config.compress] - `{encoding, threshold}`, compress request body by `gzip` or `deflate` and set `Content-Encoding` header. Body smaller than `threshold` bytes is sent plain
+ * @param {object} context - producer context
+ *
+ * @returns {Promise} - resolve `{status, data, headers}`, or reject `HTTPError` or `CancelError`
+ */
 function http(config, context) {
   return new Promise((resolve, reject) => {
+    const signal = config.signal;
+    delete config.signal;
+    const target = config.target || "task";
+    delete config.target;
+    const compress = config.compress;
+    delete config.compress;
+    const sign = config.sign;
+    delete config.sign;
+    if (signal && signal.aborted) {
+      return reject(signal.reason || new CancelError());
+    }
+    let removeAbortListener = () => {};
+    if (signal) {
+      config.cancelToken = new axios.CancelToken((cancel) => {
+        removeAbortListener = onAbort(signal, (reason) => {
+          cancel(_.get(reason, "message"));
+        });
+      });
+    }
+
     let defaultHeader = {};
     const producer = _.get(context, 'producer');
     let configs = {};
@@ -18,8 +168,11 @@ function http(config, context) {
     defaultHeader[constants.X_JOB_ID] = uuid.v4();
     config.headers = _.merge({}, defaultHeader, config.headers || {});
     if (!config.timeout) {
-      // _.get(producer, 'producerConfiguration().timeout')*1000 ||
-      config.timeout = constants.REQUEST_TIMEOUT; // timeout value: 20s, because pollingInterval is 30s
+      // use `timeout` in producer configuration, before get producer configuration use `REQUEST_TIMEOUT`.
+      // It isn't limited by `taskTimeout`, uploads to BitSky and Retailer can be large
+      config.timeout = getTimeouts(
+        _.invoke(producer, "producerConfiguration")
+      ).serviceTimeout;
     }
 
     // Fix an issue - ERR_FR_MAX_BODY_LENGTH_EXCEEDED
@@ -27,9 +180,36 @@ function http(config, context) {
     config.maxContentLength = Infinity;
     config.maxBodyLength = Infinity;
 
-    axios
-      .request(config)
+    const startTime = Date.now();
+    const observe = (status, failed) => {
+      const metrics = _.get(context, "metrics");
+      if (metrics) {
+        metrics.observeRequest(
+          {
+            producer: configs.GLOBAL_ID,
+            target,
+            method: _.toUpper(config.method || "GET"),
+            status,
+          },
+          Date.now() - startTime,
+          failed
+        );
+      }
+    };
+
+    Promise.resolve()
+      .then(() => {
+        // sign before compress, receiver verifies decompressed body
+        signBody(config, sign);
+        return compressBody(config, compress, _.get(context, "logger") || console);
+      })
+      .then(() => axios.request(config))
       .then((response) => {
+        removeAbortListener();
+        observe(_.toString(response.status), false);
+        if (target === "bitsky") {
+          _.invoke(producer, "recordBitSkyContact");
+        }
         let res = {
           status: response.status,
           data: response.data,
@@ -38,8 +218,17 @@ function http(config, context) {
         resolve(res);
       })
       .catch((err) => {
-        let error = new HTTPError(err);
+        removeAbortListener();
         const logger = _.get(context, "logger") || console;
+        if (axios.isCancel(err)) {
+          logger.debug(`http request cancelled. Reason: ${_.get(err, "message")}`);
+          observe("cancelled", true);
+          return reject(
+            (signal && signal.reason) || new CancelError(_.get(err, "message"))
+          );
+        }
+        let error = new HTTPError(err);
+        observe(metricsStatus(error), true);
         logger.error(
           `http send request fail. Error: ${_.get(err, "message")}`,
           {
@@ -0,0 +1,174 @@
+const _ = require("lodash");
+const path = require("path");
+const fs = require("fs-extra");
+const constants = require("./constants");
+
+const HISTORY_FILE_NAME = "jobs.jsonl";
+
+/**
+ * A bounded job history. Each job is appended to `jobs.jsonl` as a line, so history is kept after restart.
+ * Only latest `maxSize` jobs are kept, file is compacted when it has twice lines
+ *
+ * @example
+ * const history = new JobHistory({ dir: "/producer/home/jobs", maxSize: 1000 });
+ * history.load();
+ * await history.add({ jobId, startedAt, endedAt, states, deliveries, errors });
+ * history.list({ since: Date.now() - 60 * 60 * 1000 });
+ *
+ * @class
+ */
+class JobHistory {
+  /**
+   * @constructor JobHistory
+   * @param {object} options
+   * @param {string} options.dir - folder to store history
+   * @param {number} [options.maxSize] - max number of jobs to keep. Default `JOB_HISTORY_SIZE`
+   * @param {object} [options.logger] - logger, default is `console`
+   */
+  constructor(options) {
+    this.__dir = options.dir;
+    this.__maxSize = options.maxSize || constants.JOB_HISTORY_SIZE;
+    this.__logger = options.logger || console;
+    this.__entries = [];
+    this.__lines = 0; // lines in history file
+    this.__loaded = false;
+    this.__writing = Promise.resolve();
+  }
+
+  __filePath() {
+    return path.join(this.__dir, HISTORY_FILE_NAME);
+  }
+
+  /**
+   * Load history stored in disk
+   */
+  load() {
+    this.__loaded = true;
+    this.__entries = [];
+    this.__lines = 0;
+    try {
+      if (!fs.existsSync(this.__filePath())) {
+        return this;
+      }
+      const lines = fs.readFileSync(this.__filePath(), "utf8").split("\n");
+      lines.forEach((line) => {
+        if (!_.trim(line)) {
+          return;
+        }
+        this.__lines++;
+        try {
+          this.__entries.push(JSON.parse(line));
+        } catch (err) {
+          // a line maybe incomplete if process exits during writing
+          this.__logger.warn(
+            `[JobHistory] skip invalid line in ${this.__filePath()}. Error: ${err.message}`
+          );
+        }
+      });
+      this.__entries = _.takeRight(this.__entries, this.__maxSize);
+    } catch (err) {
+      this.__logger.error(`[JobHistory] load history fail. Error: ${err.message}`, {
+        error: err,
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Add a job to history
+   * @param {object} entry - job summary, must have `jobId`
+   */
+  async add(entry) {
+    if (!this.__loaded) {
+      this.load();
+    }
+    this.__entries.push(entry);
+    if (this.__entries.length > this.__maxSize) {
+      this.__entries = _.takeRight(this.__entries, this.__maxSize);
+    }
+    // write one by one, so lines won't be mixed
+    this.__writing = this.__writing.then(() => this.__write(entry));
+    return await this.__writing;
+  }
+
+  async __write(entry) {
+    try {
+      await fs.ensureDir(this.__dir);
+      if (this.__lines + 1 > this.__maxSize * 2) {
+        // compact file, write to a temp file then rename, so file is always complete
+        const tmpPath = `${this.__filePath()}.tmp`;
+        await fs.outputFile(
+          tmpPath,
+          this.__entries.map((item) => JSON.stringify(item)).join("\n") + "\n"
+        );
+        await fs.move(tmpPath, this.__filePath(), { overwrite: true });
+        this.__lines = this.__entries.length;
+      } else {
+        await fs.appendFile(this.__filePath(), JSON.stringify(entry) + "\n");
+        this.__lines++;
+      }
+    } catch (err) {
+      // still keep it in memory
+      this.__logger.error(
+        `[JobHistory] save job ${entry.jobId} fail. Error: ${err.message}`,
+        { error: err }
+      );
+    }
+  }
+
+  /**
+   * Get jobs, latest first
+   * @param {object} [options]
+   * @param {number} [options.since] - timestamp, only jobs started after it
+   * @param {number} [options.until] - timestamp, only jobs started before it
+   * @param {number} [options.limit] - max number of jobs to return
+   *
+   * @returns {array}
+   */
+  list(options) {
+    if (!this.__loaded) {
+      this.load();
+    }
+    const since = _.get(options, "since");
+    const until = _.get(options, "until");
+    let entries = this.__entries.filter(
+      (entry) =>
+        (!_.isFinite(since) || entry.startedAt >= since) &&
+        (!_.isFinite(until) || entry.startedAt <= until)
+    );
+    entries = _.reverse(entries.slice());
+    const limit = _.get(options, "limit");
+    if (_.isFinite(limit) && limit >= 0) {
+      entries = entries.slice(0, limit);
+    }
+    return entries;
+  }
+
+  /**
+   * Get a job
+   * @param {string} jobId - job id
+   *
+   * @returns {object|undefined} - **undefined** means cannot find it
+   */
+  get(jobId) {
+    if (!this.__loaded) {
+      this.load();
+    }
+    return _.findLast(this.__entries, (entry) => entry.jobId === jobId);
+  }
+
+  /**
+   * How many jobs are kept
+   * @returns {number}
+   */
+  size() {
+    if (!this.__loaded) {
+      this.load();
+    }
+    return this.__entries.length;
+  }
+}
+
+module.exports = {
+  JobHistory,
+};
@@ -3,6 +3,18 @@ const constants = require("./constants");
 const path = require("path");
 const _ = require("lodash");
 const fs = require("fs-extra");
+const { redactHeaders } = require("./signature");
+
+// winston stores formatted log line by this symbol
+const MESSAGE = Symbol.for("message");
+
+/**
+ * Redact values of secret headers, like `x-bitsky-security-key`, in formatted log line
+ */
+const redact = format((info) => {
+  info[MESSAGE] = redactHeaders(info[MESSAGE]);
+  return info;
+});
 
 /**
  * Create a winston logger. https://github.com/winstonjs/winston
@@ -36,7 +48,8 @@ function createMyLogger(
         format.errors({ stack: true }),
         format.timestamp(),
         format.splat(),
-        format.json()
+        format.json(),
+        redact()
       ),
       defaultMeta: {
         service: serviceName || constants.SERVICE_NAME,
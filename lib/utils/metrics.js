@@ -0,0 +1,299 @@
+const _ = require("lodash");
+const constants = require("./constants");
+
+const EVENTS = constants.PRODUCER_EVENTS;
+
+function escapeLabelValue(value) {
+  return _.toString(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const names = _.keys(labels).filter((name) => labels[name] !== undefined);
+  if (!names.length) {
+    return "";
+  }
+  return `{${names
+    .map((name) => `${name}="${escapeLabelValue(labels[name])}"`)
+    .join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return "+Inf";
+  }
+  return _.toString(value);
+}
+
+/**
+ * A metric with labels, values are stored by labels
+ */
+class Metric {
+  /**
+   * @param {string} type - `counter`, `gauge` or `histogram`
+   * @param {string} name - metric name
+   * @param {string} help - description
+   * @param {Function} [collect] - `collect()` returns `[{labels, value}]`, called when render metrics. If it is set, values are got from it
+   */
+  constructor(type, name, help, collect) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.__collect = collect;
+    this.__values = {};
+  }
+
+  __key(labels) {
+    return JSON.stringify(_.toPairs(labels || {}).sort());
+  }
+
+  __get(labels, defaultValue) {
+    const key = this.__key(labels);
+    if (!this.__values[key]) {
+      this.__values[key] = { labels: _.clone(labels || {}), value: defaultValue() };
+    }
+    return this.__values[key];
+  }
+
+  __samples() {
+    if (this.__collect) {
+      return this.__collect() || [];
+    }
+    return _.values(this.__values);
+  }
+
+  /**
+   * Render in Prometheus text format
+   * @returns {string}
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    this.__samples().forEach((sample) => {
+      lines.push(`${this.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+    });
+    return lines.join("\n");
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, collect) {
+    super("counter", name, help, collect);
+  }
+
+  inc(labels, value) {
+    this.__get(labels, () => 0).value += _.isFinite(value) ? value : 1;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, collect) {
+    super("gauge", name, help, collect);
+  }
+
+  set(labels, value) {
+    this.__get(labels, () => 0).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {string} name - metric name
+   * @param {string} help - description
+   * @param {array} buckets - upper bounds of buckets, ascending
+   */
+  constructor(name, help, buckets) {
+    super("histogram", name, help);
+    this.__buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const item = this.__get(labels, () => ({
+      buckets: this.__buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    })).value;
+    this.__buckets.forEach((bucket, index) => {
+      if (value <= bucket) {
+        item.buckets[index]++;
+      }
+    });
+    item.sum += value;
+    item.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    _.values(this.__values).forEach((sample) => {
+      this.__buckets.concat([Infinity]).forEach((bucket, index) => {
+        const count =
+          bucket === Infinity ? sample.value.count : sample.value.buckets[index];
+        lines.push(
+          `${this.name}_bucket${formatLabels(
+            _.assign({}, sample.labels, { le: formatValue(bucket) })
+          )} ${count}`
+        );
+      });
+      lines.push(`${this.name}_sum${formatLabels(sample.labels)} ${sample.value.sum}`);
+      lines.push(`${this.name}_count${formatLabels(sample.labels)} ${sample.value.count}`);
+    });
+    return lines.join("\n");
+  }
+}
+
+/**
+ * Metrics of producers, render in Prometheus text format.
+ * Job and task metrics are got from producer's events, request metrics are observed by `http`
+ *
+ * @class
+ */
+class Metrics {
+  constructor() {
+    this.__producers = [];
+    this.__listeners = new Map(); // `jobEnded` listener of each producer, removed by `removeProducer`
+    this.jobDuration = new Histogram(
+      "bitsky_producer_job_duration_seconds",
+      "Duration of collect jobs",
+      [1, 5, 10, 30, 60, 120, 180, 300, 600]
+    );
+    this.tasks = new Counter(
+      "bitsky_producer_tasks_total",
+      "Tasks by final state"
+    );
+    this.requestDuration = new Histogram(
+      "bitsky_producer_http_request_duration_seconds",
+      "Latency of requests send to BitSky, Retailers and task urls",
+      [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]
+    );
+    this.requestErrors = new Counter(
+      "bitsky_producer_http_request_errors_total",
+      "Failed requests send to BitSky, Retailers and task urls"
+    );
+    this.jobs = new Counter(
+      "bitsky_producer_jobs_total",
+      "Jobs ran since producer started",
+      () => this.__collect((producer) => producer.ranJobNumber())
+    );
+    this.polling = new Gauge(
+      "bitsky_producer_polling",
+      "Whether producer is polling tasks, 1 means polling",
+      () => this.__collect((producer) => (producer.polling() ? 1 : 0))
+    );
+    this.paused = new Gauge(
+      "bitsky_producer_paused",
+      "Whether producer is paused, 1 means paused",
+      () => this.__collect((producer) => (producer.paused() ? 1 : 0))
+    );
+    this.getTasksFailures = new Gauge(
+      "bitsky_producer_get_tasks_failures",
+      "How many times get tasks from BitSky fail in a row, 0 means BitSky is reachable",
+      () => this.__collect((producer) => producer.getTasksFailures())
+    );
+    this.outboxSize = new Gauge(
+      "bitsky_producer_outbox_size",
+      "Entries waiting to replay, `outbox` is `bitsky` or `retailers`",
+      () =>
+        _.flatten(
+          this.__producers.map((producer) => [
+            {
+              labels: { producer: this.__globalId(producer), outbox: "bitsky" },
+              value: producer.outboxSize(),
+            },
+            {
+              labels: { producer: this.__globalId(producer), outbox: "retailers" },
+              value: producer.retailerQueueSize(),
+            },
+          ])
+        )
+    );
+  }
+
+  __globalId(producer) {
+    return producer.getConfigs().GLOBAL_ID;
+  }
+
+  __collect(getValue) {
+    return this.__producers.map((producer) => ({
+      labels: { producer: this.__globalId(producer) },
+      value: getValue(producer),
+    }));
+  }
+
+  /**
+   * Collect metrics of a producer
+   * @param {Producer} producer - producer
+   */
+  addProducer(producer) {
+    if (_.includes(this.__producers, producer)) {
+      return this;
+    }
+    this.__producers.push(producer);
+    const listener = (payload) => {
+      const labels = { producer: payload.globalId };
+      this.jobDuration.observe(labels, payload.duration / 1000);
+      _.forEach(payload.states, (count, state) => {
+        this.tasks.inc({ producer: payload.globalId, state }, count);
+      });
+    };
+    this.__listeners.set(producer, listener);
+    producer.on(EVENTS.jobEnded, listener);
+    return this;
+  }
+
+  /**
+   * Stop collect metrics of a producer
+   * @param {Producer} producer - producer
+   */
+  removeProducer(producer) {
+    _.pull(this.__producers, producer);
+    const listener = this.__listeners.get(producer);
+    if (listener) {
+      producer.removeListener(EVENTS.jobEnded, listener);
+      this.__listeners.delete(producer);
+    }
+    return this;
+  }
+
+  /**
+   * Observe a request
+   * @param {object} labels - `{producer, target, method, status}`, `target` is `bitsky`, `retailer` or `task`
+   * @param {number} duration - (Unit: Millisecond) latency
+   * @param {boolean} failed - whether request fails
+   */
+  observeRequest(labels, duration, failed) {
+    this.requestDuration.observe(labels, duration / 1000);
+    if (failed) {
+      this.requestErrors.inc(labels);
+    }
+  }
+
+  /**
+   * Render all metrics in Prometheus text format
+   * @returns {string}
+   */
+  render() {
+    return (
+      [
+        this.jobs,
+        this.tasks,
+        this.jobDuration,
+        this.requestDuration,
+        this.requestErrors,
+        this.polling,
+        this.paused,
+        this.getTasksFailures,
+        this.outboxSize,
+      ]
+        .map((metric) => metric.render())
+        .join("\n") + "\n"
+    );
+  }
+}
+
+module.exports = {
+  Metrics,
+  Counter,
+  Gauge,
+  Histogram,
+};
@@ -0,0 +1,232 @@
+const _ = require("lodash");
+const { setTasksToFail } = require("./index");
+
+const HOOKS = ["beforeTask", "afterTask", "onError"];
+
+/**
+ * A middleware is an object has any of following hooks, each hook can be async.
+ * `ctx` is `{jobId, producerConfig, context, signal}` of current job
+ *
+ * - `beforeTask(task, ctx)`: called before worker collects the task. Return a task to replace it, or return nothing to keep it. Throw error to fail this task, it won't be passed to worker
+ * - `afterTask(task, ctx)`: called after task is collected successful. Return a task to replace it, or return nothing to keep it. Throw error to fail this task
+ * - `onError(error, task, ctx)`: called when task fails. `error` is an `Error`, fields of `task.system.failuresReason` like `status` are copied to it.
+ *   Change `task.system.state` to classify it, like `"TIMEOUT"`, or set it to `"FINISHED"` to recover it. Return a task to replace it, or return nothing to keep it
+ *
+ * `beforeTask` is called in the order middlewares are added, `afterTask` and `onError` are called in reverse order
+ *
+ * @example
+ * producer.use({
+ *   beforeTask(task) {
+ *     _.set(task, "metadata.headers.x-trace-id", uuid.v4());
+ *   },
+ *   onError(error, task) {
+ *     if (error.status === 404) {
+ *       task.system.state = "FINISHED";
+ *     }
+ *   },
+ * });
+ *
+ * @typedef {object} Middleware
+ */
+
+/**
+ * Check middleware is valid
+ * @param {object} middleware - middleware to check
+ *
+ * @throws {Error} if middleware doesn't have any hook, or hook isn't a function
+ */
+function validateMiddleware(middleware) {
+  if (!(middleware instanceof Object)) {
+    throw new Error(`${middleware} isn't valid, middleware must be an object`);
+  }
+  const hooks = HOOKS.filter((hook) => middleware[hook] !== undefined);
+  if (!hooks.length) {
+    throw new Error(
+      `middleware must have at least one of ${HOOKS.join(", ")} hooks`
+    );
+  }
+  hooks.forEach((hook) => {
+    if (!(middleware[hook] instanceof Function)) {
+      throw new Error(`middleware ${hook} must be a function`);
+    }
+  });
+}
+
+/**
+ * Convert worker's rejected value to an Error
+ * @param {*} reason - rejected value, normally it is the task
+ * @param {object} task - failed task
+ *
+ * @returns {Error}
+ */
+function toError(reason, task) {
+  if (reason instanceof Error) {
+    return reason;
+  }
+  const failuresReason = _.get(task, "system.failuresReason");
+  const error = new Error(
+    _.get(failuresReason, "message") ||
+      (_.isString(failuresReason) && failuresReason) ||
+      "collect task fail"
+  );
+  if (_.isPlainObject(failuresReason)) {
+    _.defaults(error, _.omit(failuresReason, ["message", "stack"]));
+  }
+  return error;
+}
+
+/**
+ * Set task to FAILED by an error thrown from a hook
+ */
+function failTask(task, err) {
+  return setTasksToFail(
+    task,
+    err && !err.toJSON ? _.get(err, "message") || _.toString(err) : err
+  );
+}
+
+function isTask(value) {
+  return !!_.get(value, "globalId");
+}
+
+/**
+ * Run `onError` hooks, then decide task is recovered or still fails
+ * @param {array} middlewares - middlewares
+ * @param {Error} error - why task fails
+ * @param {object} task - failed task
+ * @param {object} ctx - job context
+ *
+ * @returns {Promise} - resolve(task) if a hook set task to `FINISHED`, otherwise reject(task)
+ */
+async function handleError(middlewares, error, task, ctx) {
+  const logger = _.get(ctx, "context.logger") || console;
+  if (!_.includes(["FAILED", "TIMEOUT"], _.toUpper(_.get(task, "system.state")))) {
+    task = failTask(task, error);
+  }
+  for (let i = middlewares.length - 1; i >= 0; i--) {
+    if (!middlewares[i].onError) {
+      continue;
+    }
+    try {
+      const result = await middlewares[i].onError(error, task, ctx);
+      if (isTask(result)) {
+        task = result;
+      }
+    } catch (err) {
+      logger.error(
+        `middleware onError fail. globalId: ${task.globalId}. Error: ${err.message}`,
+        { jobId: _.get(ctx, "jobId"), error: err }
+      );
+    }
+  }
+  if (_.toUpper(_.get(task, "system.state")) === "FINISHED") {
+    return task;
+  }
+  throw task;
+}
+
+/**
+ * Run `afterTask` hooks
+ * @returns {Promise} - resolve(task) or reject(task)
+ */
+async function handleResult(middlewares, task, ctx) {
+  try {
+    for (let i = middlewares.length - 1; i >= 0; i--) {
+      if (!middlewares[i].afterTask) {
+        continue;
+      }
+      const result = await middlewares[i].afterTask(task, ctx);
+      if (isTask(result)) {
+        task = result;
+      }
+    }
+    return task;
+  } catch (err) {
+    return await handleError(middlewares, err, failTask(task, err), ctx);
+  }
+}
+
+/**
+ * Run `beforeTask` hooks
+ * @returns {Promise} - resolve(task), reject(err) if a hook throws error
+ */
+async function prepareTask(middlewares, task, ctx) {
+  for (let i = 0; i < middlewares.length; i++) {
+    if (!middlewares[i].beforeTask) {
+      continue;
+    }
+    const result = await middlewares[i].beforeTask(task, ctx);
+    if (isTask(result)) {
+      task = result;
+    }
+  }
+  return task;
+}
+
+/**
+ * Wrap a worker with middlewares, the wrapped worker has same options and returns as the worker
+ * @param {Function} worker - worker to wrap, like `httpCrawler`
+ * @param {array} middlewares - middlewares, see `Middleware`
+ *
+ * @returns {Function} - wrapped worker
+ */
+function applyMiddlewares(worker, middlewares) {
+  if (!middlewares || !middlewares.length) {
+    return worker;
+  }
+  return async function (options) {
+    const ctx = {
+      jobId: _.get(options, "jobId"),
+      producerConfig: _.get(options, "producerConfig"),
+      context: _.get(options, "context"),
+      signal: _.get(options, "signal"),
+    };
+    const tasks = _.get(options, "tasks") || [];
+    const promises = [];
+    const prepared = _.compact(
+      await Promise.all(
+        tasks.map(async (task) => {
+          try {
+            return await prepareTask(middlewares, task, ctx);
+          } catch (err) {
+            // task fails before worker collects it
+            promises.push(
+              handleError(middlewares, err, failTask(task, err), ctx)
+            );
+            return undefined;
+          }
+        })
+      )
+    );
+    if (!tasks.length || prepared.length) {
+      const workerPromises = await worker(
+        _.assign({}, options, { tasks: prepared })
+      );
+      (workerPromises || []).forEach((promise) => {
+        promises.push(
+          Promise.resolve(promise).then(
+            (task) =>
+              isTask(task) ? handleResult(middlewares, task, ctx) : task,
+            (reason) => {
+              if (!isTask(reason)) {
+                throw reason;
+              }
+              return handleError(
+                middlewares,
+                toError(reason, reason),
+                reason,
+                ctx
+              );
+            }
+          )
+        );
+      });
+    }
+    return promises;
+  };
+}
+
+module.exports = {
+  validateMiddleware,
+  applyMiddlewares,
+};
@@ -0,0 +1,378 @@
+const _ = require("lodash");
+const path = require("path");
+const fs = require("fs-extra");
+const uuid = require("uuid");
+const constants = require("./constants");
+const { computeBackoff } = require("./retry");
+
+/**
+ * A disk-backed queue. Each entry is stored as a JSON file, and replayed with exponential backoff until send successful.
+ * Since entries are stored in disk, entries that didn't send before restart are replayed after restart.
+ * If `deadLetterDir` is set, entries run out of attempts or expired are moved to it, and can be replayed manually.
+ *
+ * @example
+ * const outbox = new Outbox({
+ *   name: "bitsky",
+ *   dir: "/producer/home/outbox/bitsky",
+ *   send: async (data) => updateTasksAPI(data.baseURL, securityKey, data.tasks, context),
+ * });
+ * outbox.start();
+ * await outbox.enqueue({ baseURL, tasks });
+ *
+ * @class
+ */
+class Outbox {
+  /**
+   * @constructor Outbox
+   * @param {object} options
+   * @param {string} options.name - name of this outbox, used in logs
+   * @param {string} options.dir - folder to store entries
+   * @param {Function} options.send - `async send(data, entry)`, throw error if send fail
+   * @param {object} [options.policy] - retry policy, `{delay, maxDelay, factor, jitter}`, `delay` and `maxDelay` are milliseconds
+   * @param {number} [options.maxAge] - (Unit: Millisecond) entries older than this are dropped. Default `OUTBOX_MAX_AGE`
+   * @param {number} [options.maxAttempts] - max send times of an entry, `0` means no limit. Default `0`
+   * @param {string} [options.deadLetterDir] - folder to store entries run out of attempts or expired, if empty, those entries are dropped
+   * @param {Function} [options.onDeadLetter] - `onDeadLetter(entry)`, called when an entry is dropped or moved to dead-letter folder
+   * @param {number} [options.interval] - (Unit: Millisecond) how frequently to check entries need to replay. Default `OUTBOX_FLUSH_INTERVAL`
+   * @param {object} [options.logger] - logger, default is `console`
+   */
+  constructor(options) {
+    this.__name = options.name;
+    this.__dir = options.dir;
+    this.__send = options.send;
+    this.__policy = _.merge(
+      {
+        delay: constants.OUTBOX_RETRY_DELAY,
+        maxDelay: constants.OUTBOX_RETRY_MAX_DELAY,
+        factor: 2,
+        jitter: 0.2,
+      },
+      options.policy
+    );
+    this.__maxAge = options.maxAge || constants.OUTBOX_MAX_AGE;
+    this.__maxAttempts = options.maxAttempts || 0;
+    this.__deadLetterDir = options.deadLetterDir;
+    this.__onDeadLetter = options.onDeadLetter;
+    this.__interval = options.interval || constants.OUTBOX_FLUSH_INTERVAL;
+    this.__logger = options.logger || console;
+    this.__entries = {};
+    this.__intervalHandler = undefined;
+    this.__flushing = undefined;
+  }
+
+  /**
+   * Load entries stored in disk, and start to replay them
+   */
+  start() {
+    this.stop();
+    this.load();
+    this.__intervalHandler = setInterval(() => {
+      this.flush();
+    }, this.__interval);
+    // don't keep process alive only because of outbox
+    if (this.__intervalHandler.unref) {
+      this.__intervalHandler.unref();
+    }
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.__intervalHandler);
+    this.__intervalHandler = undefined;
+    return this;
+  }
+
+  /**
+   * Load entries stored in disk
+   */
+  load() {
+    try {
+      fs.ensureDirSync(this.__dir);
+      const files = fs.readdirSync(this.__dir);
+      this.__entries = {};
+      files.forEach((file) => {
+        if (path.extname(file) !== ".json") {
+          return;
+        }
+        try {
+          const entry = fs.readJSONSync(path.join(this.__dir, file));
+          if (entry && entry.id) {
+            this.__entries[entry.id] = entry;
+          }
+        } catch (err) {
+          this.__logger.error(
+            `[Outbox][${this.__name}] cannot read ${file}, skip it. Error: ${err.message}`,
+            { error: err }
+          );
+        }
+      });
+      if (this.size()) {
+        this.__logger.info(
+          `[Outbox][${this.__name}] ${this.size()} entries need to replay`
+        );
+      }
+    } catch (err) {
+      this.__logger.error(
+        `[Outbox][${this.__name}] load entries fail. Error: ${err.message}`,
+        { error: err }
+      );
+    }
+    return this;
+  }
+
+  __entryPath(entry) {
+    return path.join(this.__dir, `${entry.id}.json`);
+  }
+
+  async __save(entry) {
+    // write to a temp file then rename, so an entry file is always complete
+    const entryPath = this.__entryPath(entry);
+    const tmpPath = `${entryPath}.tmp`;
+    await fs.outputJson(tmpPath, entry);
+    await fs.move(tmpPath, entryPath, { overwrite: true });
+  }
+
+  async __remove(entry) {
+    delete this.__entries[entry.id];
+    await fs.remove(this.__entryPath(entry));
+  }
+
+  __deadLetterPath(id) {
+    // id is used as file name, make sure it cannot access other folders
+    if (!this.__deadLetterDir || !/^[\w-]+$/.test(id)) {
+      return undefined;
+    }
+    return path.join(this.__deadLetterDir, `${id}.json`);
+  }
+
+  /**
+   * Entry cannot be sent, move it to dead-letter folder or drop it
+   * @param {object} entry - entry to give up
+   * @param {string} reason - why give up
+   */
+  async __deadLetter(entry, reason) {
+    entry.deadAt = Date.now();
+    entry.deadReason = reason;
+    if (this.__deadLetterDir) {
+      this.__logger.error(
+        `[Outbox][${this.__name}] entry ${entry.id} ${reason}, move it to ${this.__deadLetterDir}. Last error: ${entry.lastError}`
+      );
+      await fs.outputJson(this.__deadLetterPath(entry.id), entry);
+    } else {
+      this.__logger.error(
+        `[Outbox][${this.__name}] entry ${entry.id} ${reason}, drop it. Last error: ${entry.lastError}`
+      );
+    }
+    await this.__remove(entry);
+    if (this.__onDeadLetter) {
+      try {
+        await this.__onDeadLetter(entry);
+      } catch (err) {
+        this.__logger.error(
+          `[Outbox][${this.__name}] onDeadLetter fail. Error: ${err.message}`,
+          { error: err }
+        );
+      }
+    }
+  }
+
+  /**
+   * Add data to outbox, it will be sent in next flush
+   * @param {object} data - data need to send, must be able to convert to JSON
+   * @param {object} [error] - error of last time send
+   *
+   * @returns {object} - entry
+   */
+  async enqueue(data, error) {
+    const now = Date.now();
+    const entry = {
+      // start with timestamp, so files are sorted by created time
+      id: `${now}-${uuid.v4()}`,
+      createdAt: now,
+      attempts: error ? 1 : 0,
+      nextAttemptAt: error ? now + computeBackoff(1, this.__policy) : now,
+      lastError: error ? _.get(error, "message") || _.toString(error) : undefined,
+      data,
+    };
+    this.__entries[entry.id] = entry;
+    try {
+      if (this.__maxAttempts && entry.attempts >= this.__maxAttempts) {
+        await this.__deadLetter(entry, `failed ${entry.attempts} attempts`);
+      } else {
+        await this.__save(entry);
+      }
+    } catch (err) {
+      // still keep it in memory, it can be replayed before restart
+      this.__logger.error(
+        `[Outbox][${this.__name}] save entry ${entry.id} fail. Error: ${err.message}`,
+        { error: err }
+      );
+    }
+    return entry;
+  }
+
+  /**
+   * Send entries that need to replay now. Only one flush is running at the same time
+   */
+  async flush() {
+    if (!this.__flushing) {
+      this.__flushing = this.__flush().then(
+        () => {
+          this.__flushing = undefined;
+        },
+        (err) => {
+          this.__flushing = undefined;
+          this.__logger.error(
+            `[Outbox][${this.__name}] flush fail. Error: ${err.message}`,
+            { error: err }
+          );
+        }
+      );
+    }
+    return await this.__flushing;
+  }
+
+  async __flush() {
+    const entries = _.sortBy(_.values(this.__entries), "createdAt");
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      const now = Date.now();
+      if (now - entry.createdAt > this.__maxAge) {
+        await this.__deadLetter(
+          entry,
+          `is expired after ${entry.attempts} attempts`
+        );
+        continue;
+      }
+      if (entry.nextAttemptAt > now) {
+        continue;
+      }
+      try {
+        entry.attempts++;
+        await this.__send(entry.data, entry);
+        this.__logger.info(
+          `[Outbox][${this.__name}] replay entry ${entry.id} successful, attempts: ${entry.attempts}`
+        );
+        await this.__remove(entry);
+      } catch (err) {
+        entry.lastError = _.get(err, "message") || _.toString(err);
+        entry.nextAttemptAt =
+          Date.now() + computeBackoff(entry.attempts, this.__policy);
+        this.__logger.warn(
+          `[Outbox][${this.__name}] replay entry ${entry.id} fail, attempts: ${entry.attempts}. Error: ${entry.lastError}`
+        );
+        if (this.__maxAttempts && entry.attempts >= this.__maxAttempts) {
+          await this.__deadLetter(entry, `failed ${entry.attempts} attempts`);
+        } else {
+          await this.__save(entry);
+        }
+      }
+    }
+  }
+
+  /**
+   * How many entries are waiting to send
+   * @returns {number}
+   */
+  size() {
+    return _.size(this.__entries);
+  }
+
+  /**
+   * Summary of this outbox
+   * @returns {object} - `{name, size, oldestCreatedAt, deadLetters}`
+   */
+  status() {
+    const oldest = _.minBy(_.values(this.__entries), "createdAt");
+    return {
+      name: this.__name,
+      size: this.size(),
+      oldestCreatedAt: _.get(oldest, "createdAt"),
+      deadLetters: this.__deadLetterDir ? this.deadLetters().length : undefined,
+    };
+  }
+
+  /**
+   * Entries in dead-letter folder, sorted by created time
+   * @returns {array}
+   */
+  deadLetters() {
+    if (!this.__deadLetterDir || !fs.existsSync(this.__deadLetterDir)) {
+      return [];
+    }
+    const entries = [];
+    fs.readdirSync(this.__deadLetterDir).forEach((file) => {
+      if (path.extname(file) !== ".json") {
+        return;
+      }
+      try {
+        entries.push(fs.readJSONSync(path.join(this.__deadLetterDir, file)));
+      } catch (err) {
+        this.__logger.error(
+          `[Outbox][${this.__name}] cannot read dead letter ${file}. Error: ${err.message}`,
+          { error: err }
+        );
+      }
+    });
+    return _.sortBy(entries, "createdAt");
+  }
+
+  /**
+   * Get an entry in dead-letter folder
+   * @param {string} id - entry id
+   *
+   * @returns {object|undefined} - **undefined** means cannot find it
+   */
+  deadLetter(id) {
+    const deadLetterPath = this.__deadLetterPath(id);
+    if (!deadLetterPath || !fs.existsSync(deadLetterPath)) {
+      return undefined;
+    }
+    return fs.readJSONSync(deadLetterPath);
+  }
+
+  /**
+   * Move an entry in dead-letter folder back to outbox, it will be sent in next flush
+   * @param {string} id - entry id
+   *
+   * @returns {object|undefined} - entry, **undefined** means cannot find it
+   */
+  async replayDeadLetter(id) {
+    const entry = this.deadLetter(id);
+    if (!entry) {
+      return undefined;
+    }
+    entry.attempts = 0;
+    entry.nextAttemptAt = Date.now();
+    // it is a new entry, so it won't expire immediately
+    entry.createdAt = Date.now();
+    delete entry.deadAt;
+    delete entry.deadReason;
+    this.__entries[entry.id] = entry;
+    await this.__save(entry);
+    await fs.remove(this.__deadLetterPath(id));
+    this.__logger.info(
+      `[Outbox][${this.__name}] move dead letter ${id} back to outbox`
+    );
+    return entry;
+  }
+
+  /**
+   * Delete an entry in dead-letter folder
+   * @param {string} id - entry id
+   *
+   * @returns {boolean} - **false** means cannot find it
+   */
+  async removeDeadLetter(id) {
+    const deadLetterPath = this.__deadLetterPath(id);
+    if (!deadLetterPath || !fs.existsSync(deadLetterPath)) {
+      return false;
+    }
+    await fs.remove(deadLetterPath);
+    return true;
+  }
+}
+
+module.exports = {
+  Outbox,
+};
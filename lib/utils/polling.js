@@ -0,0 +1,68 @@
+const _ = require("lodash");
+const constants = require("./constants");
+const { computeBackoff } = require("./retry");
+
+function toSeconds(value, defaultValue) {
+  value = Number(value);
+  if (!_.isFinite(value) || value < 0) {
+    return defaultValue;
+  }
+  return value;
+}
+
+/**
+ * Get polling policy from producer configuration
+ * @param {object} producerConfig - producer configuration get from BitSky. `pollingInterval`, `minPollingInterval` and `maxPollingInterval`, unit is second
+ *
+ * @returns {object} - `{interval, minInterval, maxInterval}`, unit is millisecond. `minInterval <= interval <= maxInterval`
+ */
+function getPollingPolicy(producerConfig) {
+  const defaults = constants.DEFAULT_RETAILER_CONFIGURATION;
+  const minInterval = toSeconds(
+    _.get(producerConfig, "minPollingInterval"),
+    defaults.minPollingInterval
+  );
+  const maxInterval = Math.max(
+    toSeconds(
+      _.get(producerConfig, "maxPollingInterval"),
+      defaults.maxPollingInterval
+    ),
+    minInterval
+  );
+  const interval = _.clamp(
+    toSeconds(_.get(producerConfig, "pollingInterval"), defaults.pollingInterval),
+    minInterval,
+    maxInterval
+  );
+  return {
+    interval: interval * 1000,
+    minInterval: minInterval * 1000,
+    maxInterval: maxInterval * 1000,
+  };
+}
+
+/**
+ * How long to wait before next poll. Poll again after `minInterval` while tasks are returned,
+ * otherwise exponential backoff from `interval` to `maxInterval`
+ * @param {number} idlePolls - how many polls in a row didn't get tasks or fail, `0` means last poll got tasks
+ * @param {object} policy - polling policy, see `getPollingPolicy`
+ *
+ * @returns {number} - milliseconds
+ */
+function nextPollingDelay(idlePolls, policy) {
+  if (!idlePolls) {
+    return policy.minInterval;
+  }
+  const delay = computeBackoff(idlePolls, {
+    delay: policy.interval,
+    maxDelay: policy.maxInterval,
+    factor: 2,
+    jitter: 0.1,
+  });
+  return _.clamp(delay, policy.minInterval, policy.maxInterval);
+}
+
+module.exports = {
+  getPollingPolicy,
+  nextPollingDelay,
+};
@@ -0,0 +1,200 @@
+const _ = require("lodash");
+const fs = require("fs-extra");
+
+/**
+ * Options of each Retailer are configured by `RETAILER_OPTIONS`, a JSON object. Key is Retailer's globalId or baseURL,
+ * options of globalId overwrite options of baseURL, and both overwrite default options
+ *
+ * @example
+ * RETAILER_OPTIONS='{"retailer-global-id": {"maxBatchSize": 20}, "http://localhost:8081": {"maxBatchBytes": 1048576}}'
+ *
+ * Secret values, like `auth.token` or a header value, can be a string, `{"env": "ENV_NAME"}` to read from environment variable,
+ * or `{"file": "/run/secrets/token"}` to read from a file. Secrets are read each time tasks are sent, so rotated secrets are used
+ *
+ * @example
+ * RETAILER_OPTIONS='{"retailer-global-id": {"auth": {"type": "bearer", "token": {"env": "RETAILER_TOKEN"}}}, "http://localhost:8081": {"headers": {"x-api-key": {"file": "/run/secrets/api-key"}}}}'
+ *
+ * @typedef {object} RetailerOptions
+ * @property {number} maxBatchSize - max tasks send to Retailer in one request
+ * @property {number} maxBatchBytes - max bytes of tasks send to Retailer in one request
+ * @property {string} compression - compress request body by `gzip` or `deflate`, empty means don't compress
+ * @property {number} compressionThreshold - (Unit: Byte) request body smaller than it is sent plain
+ * @property {boolean} signing - sign request by HMAC instead of sending `apiKey`, see `utils/signature.js`
+ * @property {string|object} signingKey - secret to sign request, default is Retailer's `apiKey`
+ * @property {object} headers - http headers send to Retailer, value can be a secret
+ * @property {object} auth - auth scheme of Retailer callback, one of:
+ *   - `{type: "bearer", token}`: `Authorization: Bearer <token>`
+ *   - `{type: "basic", username, password}`: `Authorization: Basic <base64(username:password)>`
+ *   - `{type: "apiKey", header, value}`: `<header>: <value>`, default header is `x-api-key`
+ */
+
+/**
+ * Parse `RETAILER_OPTIONS`
+ * @param {string|object} value - JSON string or object
+ * @param {object} [logger] - logger, default is `console`
+ *
+ * @returns {object} - options of each Retailer, invalid value returns `{}`
+ */
+function parseRetailerOptions(value, logger) {
+  logger = logger || console;
+  if (!value) {
+    return {};
+  }
+  if (_.isString(value)) {
+    try {
+      value = JSON.parse(value);
+    } catch (err) {
+      logger.error(`RETAILER_OPTIONS isn't valid JSON, ignore it. Error: ${err.message}`, {
+        error: err,
+      });
+      return {};
+    }
+  }
+  if (!_.isPlainObject(value)) {
+    logger.error("RETAILER_OPTIONS must be an object, ignore it");
+    return {};
+  }
+  return value;
+}
+
+/**
+ * Normalize baseURL, so `http://Localhost:8081/` and `http://localhost:8081` are same
+ */
+function normalizeBaseURL(baseURL) {
+  return _.trimEnd(_.toLower(_.trim(baseURL)), "/");
+}
+
+/**
+ * Get options of a Retailer
+ * @param {object} retailerOptions - options of each Retailer, see `parseRetailerOptions`
+ * @param {object} retailer - `task.retailer`, `{globalId, baseURL}`
+ * @param {object} defaults - default options
+ *
+ * @returns {RetailerOptions}
+ */
+function getRetailerOptions(retailerOptions, retailer, defaults) {
+  const globalId = _.get(retailer, "globalId");
+  const baseURL = normalizeBaseURL(_.get(retailer, "baseURL"));
+  let byBaseURL;
+  _.forEach(retailerOptions, (options, key) => {
+    if (baseURL && normalizeBaseURL(key) === baseURL) {
+      byBaseURL = options;
+      return false;
+    }
+  });
+  const byGlobalId = globalId ? _.get(retailerOptions, [globalId]) : undefined;
+  const options = _.merge({}, defaults, byBaseURL, byGlobalId);
+  // auth schemes aren't merged, the most specific one is used
+  const auth = _.get(byGlobalId, "auth") || _.get(byBaseURL, "auth");
+  if (auth) {
+    options.auth = _.cloneDeep(auth);
+  }
+  return options;
+}
+
+/**
+ * Read a secret
+ * @param {string|object} value - a string, `{env}` or `{file}`
+ * @param {string} name - name of this secret, used in error message
+ *
+ * @throws {Error} if secret is empty or cannot be read
+ * @returns {string}
+ */
+function resolveSecret(value, name) {
+  let secret = value;
+  if (_.isPlainObject(value) && value.env) {
+    secret = process.env[value.env];
+  } else if (_.isPlainObject(value) && value.file) {
+    try {
+      secret = _.trim(fs.readFileSync(value.file, "utf8"));
+    } catch (err) {
+      throw new Error(`Cannot read ${name} from file ${value.file}. Error: ${err.message}`);
+    }
+  }
+  if (secret === undefined || secret === null || secret === "" || _.isObject(secret)) {
+    throw new Error(
+      `${name} of Retailer is empty, it should be a string, {"env": "ENV_NAME"} or {"file": "/path"}`
+    );
+  }
+  return _.toString(secret);
+}
+
+/**
+ * Get how to sign request send to a Retailer
+ * @param {RetailerOptions} options - options of this Retailer
+ * @param {object} retailer - `task.retailer`
+ *
+ * @throws {Error} if signing key cannot be read
+ * @returns {object|undefined} - `{key}`, **undefined** means don't sign
+ */
+function getRetailerSigning(options, retailer) {
+  if (!_.get(options, "signing")) {
+    return undefined;
+  }
+  return {
+    key: resolveSecret(
+      _.get(options, "signingKey") || _.get(retailer, "apiKey"),
+      "signingKey"
+    ),
+  };
+}
+
+/**
+ * Names of headers configured by `RETAILER_OPTIONS`, their values maybe secrets, so they are redacted in logs
+ * @param {object} retailerOptions - options of each Retailer, see `parseRetailerOptions`
+ *
+ * @returns {array} - header names, include `authorization`
+ */
+function getRetailerSecretHeaders(retailerOptions) {
+  const names = ["authorization"];
+  _.forEach(retailerOptions, (options) => {
+    names.push(..._.keys(_.get(options, "headers")));
+    if (_.toLower(_.get(options, "auth.type")) === "apikey") {
+      names.push(_.get(options, "auth.header") || "x-api-key");
+    }
+  });
+  return _.uniq(names.map(_.toLower));
+}
+
+/**
+ * Get http headers send to a Retailer, include auth header
+ * @param {RetailerOptions} options - options of this Retailer
+ *
+ * @throws {Error} if auth isn't valid or a secret cannot be read
+ * @returns {object} - http headers
+ */
+function getRetailerHeaders(options) {
+  const headers = {};
+  _.forEach(_.get(options, "headers"), (value, name) => {
+    headers[name] = resolveSecret(value, `header ${name}`);
+  });
+  const auth = _.get(options, "auth");
+  if (!auth) {
+    return headers;
+  }
+  const type = _.toLower(auth.type);
+  if (type === "bearer") {
+    headers.Authorization = `Bearer ${resolveSecret(auth.token, "auth.token")}`;
+  } else if (type === "basic") {
+    const credentials = `${resolveSecret(auth.username, "auth.username")}:${resolveSecret(
+      auth.password,
+      "auth.password"
+    )}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+  } else if (type === "apikey") {
+    headers[auth.header || "x-api-key"] = resolveSecret(auth.value, "auth.value");
+  } else {
+    throw new Error(
+      `auth.type ${auth.type} of Retailer isn't supported, it should be bearer, basic or apiKey`
+    );
+  }
+  return headers;
+}
+
+module.exports = {
+  parseRetailerOptions,
+  getRetailerOptions,
+  getRetailerHeaders,
+  getRetailerSigning,
+  getRetailerSecretHeaders,
+};
@@ -0,0 +1,166 @@
+const _ = require("lodash");
+const constants = require("./constants");
+const { cancellableSleep } = require("./cancellation");
+
+/**
+ * Whether an error is a transient error, like `ECONNRESET` or http status 503
+ * @param {Error} err - error thrown by `http`
+ *
+ * @returns {boolean}
+ */
+function isRetryableError(err) {
+  if (!err) {
+    return false;
+  }
+  // error can decide by itself
+  if (_.isBoolean(err.retryable)) {
+    return err.retryable;
+  }
+  if (err.status) {
+    return _.includes(constants.RETRYABLE_HTTP_STATUS, err.status);
+  }
+  return (
+    _.includes(constants.RETRYABLE_ERROR_CODES, err.errorCode) ||
+    _.includes(constants.RETRYABLE_ERROR_CODES, err.code)
+  );
+}
+
+function toNumber(value, defaultValue, min) {
+  value = Number(value);
+  if (!_.isFinite(value) || value < min) {
+    return defaultValue;
+  }
+  return value;
+}
+
+/**
+ * Get retry policy from producer configuration
+ * @param {object} producerConfig - producer configuration get from BitSky
+ *
+ * @returns {object} - `{maxRetry, delay, maxDelay, factor, jitter}`, `delay` and `maxDelay` are milliseconds
+ */
+function getRetryPolicy(producerConfig) {
+  const defaults = constants.DEFAULT_RETAILER_CONFIGURATION;
+  const maxRetry = toNumber(
+    _.get(producerConfig, "maxRetry"),
+    defaults.maxRetry,
+    0
+  );
+  const delay = toNumber(
+    _.get(producerConfig, "retryDelay"),
+    defaults.retryDelay,
+    0
+  );
+  const maxDelay = toNumber(
+    _.get(producerConfig, "retryMaxDelay"),
+    defaults.retryMaxDelay,
+    0
+  );
+  return {
+    maxRetry: Math.floor(maxRetry),
+    delay: delay * 1000,
+    maxDelay: Math.max(delay, maxDelay) * 1000,
+    factor: toNumber(
+      _.get(producerConfig, "retryFactor"),
+      defaults.retryFactor,
+      1
+    ),
+    jitter: Math.min(
+      toNumber(_.get(producerConfig, "retryJitter"), defaults.retryJitter, 0),
+      1
+    ),
+  };
+}
+
+/**
+ * Calculate how long to wait before next retry. Exponential backoff with jitter
+ * @param {number} retry - retry number, start from 1
+ * @param {object} policy - retry policy, see `getRetryPolicy`
+ *
+ * @returns {number} - milliseconds
+ */
+function computeBackoff(retry, policy) {
+  let delay = Math.min(
+    policy.delay * Math.pow(policy.factor, retry - 1),
+    policy.maxDelay
+  );
+  if (policy.jitter) {
+    delay = delay * (1 - policy.jitter + Math.random() * policy.jitter * 2);
+  }
+  return Math.max(Math.round(delay), 0);
+}
+
+/**
+ * Call `fn` until it successful or run out of retries
+ * @param {Function} fn - `fn(attempt)`, attempt start from 1
+ * @param {object} policy - retry policy, see `getRetryPolicy`
+ * @param {Function} [policy.shouldRetry] - `shouldRetry(err)`, default is `isRetryableError`
+ * @param {Function} [policy.onRetry] - `onRetry(err, attempt, delay)`, called before wait for next retry
+ * @param {CancelSignal} [policy.signal] - stop retrying when signal is aborted
+ *
+ * @returns {Promise} - resolve with `fn`'s result, or reject with last error
+ */
+async function retry(fn, policy) {
+  const shouldRetry = _.get(policy, "shouldRetry") || isRetryableError;
+  const signal = _.get(policy, "signal");
+  let attempt = 0;
+  for (;;) {
+    attempt++;
+    if (signal) {
+      signal.throwIfAborted();
+    }
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt > policy.maxRetry || !shouldRetry(err)) {
+        throw err;
+      }
+      const delay = computeBackoff(attempt, policy);
+      if (policy.onRetry) {
+        policy.onRetry(err, attempt, delay);
+      }
+      await cancellableSleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * Retry to collect a task, each attempt is recorded to `task.system.producer.attempts`,
+ * and `task.system.producer.retryTimes` is how many times retried
+ * @param {object} task - task is collecting
+ * @param {Function} fn - `fn(attempt)`, collect task once
+ * @param {object} policy - retry policy, see `retry`
+ *
+ * @returns {Promise} - resolve with `fn`'s result, or reject with last error
+ */
+async function retryTask(task, fn, policy) {
+  const attempts = [];
+  _.set(task, "system.producer.attempts", attempts);
+  _.set(task, "system.producer.retryTimes", 0);
+  return await retry(async (attempt) => {
+    const record = {
+      attempt,
+      startedAt: Date.now(),
+    };
+    attempts.push(record);
+    _.set(task, "system.producer.retryTimes", attempt - 1);
+    try {
+      const result = await fn(attempt);
+      record.endedAt = Date.now();
+      return result;
+    } catch (err) {
+      record.endedAt = Date.now();
+      record.status = _.get(err, "status");
+      record.error = _.get(err, "message") || _.toString(err);
+      throw err;
+    }
+  }, policy);
+}
+
+module.exports = {
+  isRetryableError,
+  getRetryPolicy,
+  computeBackoff,
+  retry,
+  retryTask,
+};
@@ -0,0 +1,233 @@
+const crypto = require("crypto");
+const _ = require("lodash");
+const constants = require("./constants");
+
+const SIGNATURE_VERSION = "v1";
+// secret headers configured by user, like custom headers of Retailers, redacted same as `REDACTED_HEADERS`
+const customRedactedHeaders = new Set();
+let redactHeadersRegex;
+
+/**
+ * SHA256 digest of request body
+ * @param {Buffer|string} [body] - raw request body, empty body is `""`
+ *
+ * @returns {string} - hex digest
+ */
+function bodyDigest(body) {
+  return crypto
+    .createHash("sha256")
+    .update(body === undefined || body === null ? "" : body)
+    .digest("hex");
+}
+
+/**
+ * String to sign, method, path, timestamp and body digest joined by `\n`
+ * @param {string} method - http method
+ * @param {string} path - path and query string, like `/apis/tasks?gid=xxx`
+ * @param {string|number} timestamp - milliseconds since epoch
+ * @param {string} digest - body digest, see `bodyDigest`
+ *
+ * @returns {string}
+ */
+function stringToSign(method, path, timestamp, digest) {
+  return [_.toUpper(method || "GET"), path, timestamp, digest].join("\n");
+}
+
+function hmac(key, value) {
+  return crypto.createHmac("sha256", key).update(value).digest("hex");
+}
+
+/**
+ * Sign a request, key isn't sent
+ * @param {object} options
+ * @param {string} options.key - shared secret
+ * @param {string} options.method - http method
+ * @param {string} options.path - path and query string, like `/apis/tasks?gid=xxx`
+ * @param {Buffer|string} [options.body] - raw request body, before compression
+ * @param {number} [options.timestamp] - default is now
+ *
+ * @returns {object} - headers need to send, `x-bitsky-timestamp`, `x-bitsky-content-sha256` and `x-bitsky-signature`
+ */
+function signRequest(options) {
+  const timestamp = _.toString(options.timestamp || Date.now());
+  const digest = bodyDigest(options.body);
+  const headers = {};
+  headers[constants.X_SIGNATURE_TIMESTAMP_HEADER] = timestamp;
+  headers[constants.X_CONTENT_SHA256_HEADER] = digest;
+  headers[constants.X_SIGNATURE_HEADER] = `${SIGNATURE_VERSION}=${hmac(
+    options.key,
+    stringToSign(options.method, options.path, timestamp, digest)
+  )}`;
+  return headers;
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(_.toString(a));
+  const bufferB = Buffer.from(_.toString(b));
+  return (
+    bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB)
+  );
+}
+
+/**
+ * Verify a signed request
+ * @param {object} options
+ * @param {string} options.key - shared secret
+ * @param {string} options.method - http method
+ * @param {string} options.path - path and query string, like `req.originalUrl`
+ * @param {object} options.headers - request headers, names are lower case
+ * @param {Buffer|string} [options.body] - raw request body, after decompression
+ * @param {number} [options.window] - (Unit: Millisecond) max difference between timestamp and now, to prevent replay. Default `SIGNATURE_WINDOW`
+ * @param {number} [options.now] - default is now
+ *
+ * @returns {object} - `{valid, reason}`, `reason` is why it isn't valid
+ */
+function verifySignature(options) {
+  const headers = options.headers || {};
+  const timestamp = headers[constants.X_SIGNATURE_TIMESTAMP_HEADER];
+  const signature = headers[constants.X_SIGNATURE_HEADER];
+  if (!options.key) {
+    return { valid: false, reason: "key is empty" };
+  }
+  if (!timestamp || !signature) {
+    return { valid: false, reason: "request isn't signed" };
+  }
+  const window = _.isFinite(options.window)
+    ? options.window
+    : constants.SIGNATURE_WINDOW * 1000;
+  const now = options.now || Date.now();
+  if (!_.isFinite(Number(timestamp)) || Math.abs(now - Number(timestamp)) > window) {
+    return { valid: false, reason: "timestamp is outside of replay window" };
+  }
+  const digest = bodyDigest(options.body);
+  if (
+    headers[constants.X_CONTENT_SHA256_HEADER] !== undefined &&
+    !safeEqual(headers[constants.X_CONTENT_SHA256_HEADER], digest)
+  ) {
+    return { valid: false, reason: "body digest doesn't match" };
+  }
+  const expected = `${SIGNATURE_VERSION}=${hmac(
+    options.key,
+    stringToSign(options.method, options.path, timestamp, digest)
+  )}`;
+  if (!safeEqual(signature, expected)) {
+    return { valid: false, reason: "signature doesn't match" };
+  }
+  return { valid: true };
+}
+
+/**
+ * Express middleware to verify signed requests, for Retailers or a local BitSky stand-in.
+ * Raw body is needed, keep it by `express.json({ verify: (req, res, buf) => { req.rawBody = buf; } })`
+ *
+ * @example
+ * app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+ * app.post("/apis/tasks", signatureVerifier({ key: process.env.BITSKY_SECURITY_KEY }), handler);
+ *
+ * @param {object} options
+ * @param {string|Function} options.key - shared secret, or `key(req)` returns it
+ * @param {number} [options.window] - (Unit: Millisecond) replay window. Default `SIGNATURE_WINDOW`
+ *
+ * @returns {Function} - express middleware, response `401` if signature isn't valid
+ */
+function signatureVerifier(options) {
+  return function (req, res, next) {
+    const key = _.isFunction(options.key) ? options.key(req) : options.key;
+    const result = verifySignature({
+      key,
+      method: req.method,
+      path: req.originalUrl,
+      headers: req.headers,
+      body: req.rawBody,
+      window: options.window,
+    });
+    if (!result.valid) {
+      return res.status(401).json({
+        status: 401,
+        message: `Invalid signature, ${result.reason}`,
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Mask a secret, so it can be shown in logs or pages
+ * @param {string} secret - secret
+ *
+ * @returns {string} - like `****abcd`, empty secret returns `""`
+ */
+function redactSecret(secret) {
+  secret = _.toString(secret);
+  if (!secret) {
+    return "";
+  }
+  return secret.length > 8 ? `****${secret.slice(-4)}` : "****";
+}
+
+/**
+ * Add secret headers, their values are redacted in logs, like custom headers of Retailers
+ * @param {array} names - header names
+ */
+function addRedactedHeaders(names) {
+  _.forEach(names, (name) => {
+    name = _.toLower(_.trim(name));
+    if (name && !customRedactedHeaders.has(name)) {
+      customRedactedHeaders.add(name);
+      redactHeadersRegex = undefined;
+    }
+  });
+}
+
+/**
+ * Redact values of secret headers in serialized JSON, like a log line. Headers are `REDACTED_HEADERS` and headers added by `addRedactedHeaders`
+ * @param {string} text - serialized JSON
+ *
+ * @returns {string}
+ */
+function redactHeaders(text) {
+  if (!_.isString(text)) {
+    return text;
+  }
+  if (!redactHeadersRegex) {
+    const names = _.uniq(
+      constants.REDACTED_HEADERS.concat(Array.from(customRedactedHeaders))
+    ).map(_.escapeRegExp);
+    redactHeadersRegex = new RegExp(
+      `("(?:${names.join("|")})"\\s*:\\s*")((?:[^"\\\\]|\\\\.)*)(")`,
+      "gi"
+    );
+  }
+  return text.replace(redactHeadersRegex, "$1[REDACTED]$3");
+}
+
+/**
+ * Redact secrets in configurations, so they can be shown in logs or pages
+ * @param {object} configs - configurations
+ *
+ * @returns {object} - a copy, secrets are masked
+ */
+function redactConfigs(configs) {
+  const result = _.clone(configs);
+  _.forEach(result, (value, name) => {
+    if (value && /(SECURITY_KEY|SECRET|PASSWORD|TOKEN)$/.test(name)) {
+      result[name] = redactSecret(value);
+    } else if (value && name === "RETAILER_OPTIONS") {
+      // it maybe contains secrets
+      result[name] = "[REDACTED]";
+    }
+  });
+  return result;
+}
+
+module.exports = {
+  bodyDigest,
+  stringToSign,
+  signRequest,
+  verifySignature,
+  signatureVerifier,
+  redactSecret,
+  redactHeaders,
+  addRedactedHeaders,
+  redactConfigs,
+};
@@ -0,0 +1,105 @@
+const _ = require("lodash");
+const constants = require("./constants");
+
+/**
+ * Normalize concurrent value, it must be a positive integer
+ * @param {number|string} concurrent - max number of functions run at the same time
+ *
+ * @returns {number}
+ */
+function normalizeConcurrent(concurrent) {
+  let value = parseInt(concurrent, 10);
+  if (!_.isFinite(value) || value < 1) {
+    value = constants.DEFAULT_RETAILER_CONFIGURATION.concurrent;
+  }
+  return value;
+}
+
+/**
+ * A bounded pool, at most `concurrent` functions are running at the same time, others wait in FIFO order.
+ * Workers can use it to make sure producer doesn't send too many requests to target sites.
+ *
+ * @example
+ * const pool = new TaskPool(5);
+ * const promises = tasks.map((task) => pool.add(() => collect(task)));
+ *
+ * @class
+ */
+class TaskPool {
+  /**
+   * @constructor TaskPool
+   * @param {number} [concurrent] - max number of functions run at the same time. Default is `DEFAULT_RETAILER_CONFIGURATION.concurrent`
+   */
+  constructor(concurrent) {
+    this.__concurrent = normalizeConcurrent(concurrent);
+    this.__running = 0;
+    this.__queue = [];
+  }
+
+  /**
+   * Add a function to this pool
+   * @param {Function} fn - function to run, can return a promise
+   *
+   * @returns {Promise} - resolve or reject with the result of `fn`
+   */
+  add(fn) {
+    return new Promise((resolve, reject) => {
+      this.__queue.push({ fn, resolve, reject });
+      this.__next();
+    });
+  }
+
+  __next() {
+    while (this.__running < this.__concurrent && this.__queue.length) {
+      const item = this.__queue.shift();
+      this.__running++;
+      Promise.resolve()
+        .then(item.fn)
+        .then(item.resolve, item.reject)
+        .then(() => {
+          this.__running--;
+          this.__next();
+        });
+    }
+  }
+
+  /**
+   * Max number of functions run at the same time
+   * @returns {number}
+   */
+  concurrent() {
+    return this.__concurrent;
+  }
+
+  /**
+   * Number of functions are running
+   * @returns {number}
+   */
+  running() {
+    return this.__running;
+  }
+
+  /**
+   * Number of functions are waiting to run
+   * @returns {number}
+   */
+  pending() {
+    return this.__queue.length;
+  }
+}
+
+/**
+ * Create a TaskPool based on producer configuration's `concurrent`
+ * @param {object} producerConfig - producer configuration get from BitSky
+ *
+ * @returns {TaskPool}
+ */
+function createTaskPool(producerConfig) {
+  return new TaskPool(_.get(producerConfig, "concurrent"));
+}
+
+module.exports = {
+  TaskPool,
+  createTaskPool,
+  normalizeConcurrent,
+};
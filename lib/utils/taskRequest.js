@@ -0,0 +1,280 @@
+const _ = require("lodash");
+
+const METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE", "HEAD", "OPTIONS"];
+// methods that cannot have a body
+const NO_BODY_METHODS = ["GET", "HEAD"];
+// http header name is a token, see RFC 7230
+const HEADER_NAME_REGEX = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+// `{{ task.metadata.page }}`
+const TEMPLATE_REGEX = /{{\s*([\w.[\]-]+)\s*}}/g;
+const SINGLE_TEMPLATE_REGEX = /^{{\s*([\w.[\]-]+)\s*}}$/;
+
+/**
+ * Error thrown when request in task's metadata is malformed, task fails without sending request
+ * @class
+ */
+class TaskRequestError extends Error {
+  /**
+   * @constructor TaskRequestError
+   * @param {string} message - why request is malformed
+   * @param {string} field - malformed field, like `metadata.headers`
+   */
+  constructor(message, field) {
+    super(message);
+    this.name = "TaskRequestError";
+    this.code = "INVALID_TASK_REQUEST";
+    this.field = field;
+    // send it again won't fix it
+    this.retryable = false;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      code: this.code,
+      field: this.field,
+      message: this.message,
+    };
+  }
+}
+
+function isPrimitive(value) {
+  return _.isString(value) || _.isFinite(value) || _.isBoolean(value);
+}
+
+/**
+ * Render templates in a string. If the string is only one template, value keeps its type, so a number in body is still a number
+ * @param {string} value - string may contain templates, like `{{task.metadata.page}}`
+ * @param {object} variables - template variables
+ * @param {string} field - field name, used in error message
+ *
+ * @throws {TaskRequestError} if a variable doesn't exist
+ * @returns {*}
+ */
+function renderString(value, variables, field) {
+  const resolve = (name) => {
+    const result = _.get(variables, name);
+    if (result === undefined) {
+      throw new TaskRequestError(
+        `${field} uses template variable ${name}, but it doesn't exist`,
+        field
+      );
+    }
+    return result;
+  };
+  const single = value.match(SINGLE_TEMPLATE_REGEX);
+  if (single) {
+    return resolve(single[1]);
+  }
+  return value.replace(TEMPLATE_REGEX, (match, name) => {
+    const result = resolve(name);
+    return _.isObject(result) ? JSON.stringify(result) : _.toString(result);
+  });
+}
+
+/**
+ * Render templates in strings of a value, include strings in nested objects and arrays.
+ * `variables` is **undefined** if task doesn't enable templates, value is returned as it is
+ */
+function render(value, variables, field) {
+  if (!variables) {
+    return value;
+  }
+  if (_.isString(value)) {
+    return renderString(value, variables, field);
+  }
+  if (_.isArray(value)) {
+    return value.map((item, index) =>
+      render(item, variables, `${field}[${index}]`)
+    );
+  }
+  if (_.isPlainObject(value)) {
+    return _.mapValues(value, (item, key) =>
+      render(item, variables, `${field}.${key}`)
+    );
+  }
+  return value;
+}
+
+function validateHeaders(headers) {
+  if (!_.isPlainObject(headers)) {
+    throw new TaskRequestError(
+      `metadata.headers must be an object, but get ${JSON.stringify(headers)}`,
+      "metadata.headers"
+    );
+  }
+  _.forEach(headers, (value, name) => {
+    if (!HEADER_NAME_REGEX.test(name)) {
+      throw new TaskRequestError(
+        `metadata.headers has invalid header name ${JSON.stringify(name)}`,
+        "metadata.headers"
+      );
+    }
+    if (!isPrimitive(value) || /[\r\n]/.test(_.toString(value))) {
+      throw new TaskRequestError(
+        `metadata.headers.${name} must be a string or number without line breaks, but get ${JSON.stringify(
+          value
+        )}`,
+        "metadata.headers"
+      );
+    }
+  });
+}
+
+function validateQuery(query) {
+  if (!_.isPlainObject(query)) {
+    throw new TaskRequestError(
+      `metadata.query must be an object, but get ${JSON.stringify(query)}`,
+      "metadata.query"
+    );
+  }
+  _.forEach(query, (value, name) => {
+    const values = _.isArray(value) ? value : [value];
+    if (!_.every(values, isPrimitive)) {
+      throw new TaskRequestError(
+        `metadata.query.${name} must be a string, number, boolean or an array of them, but get ${JSON.stringify(
+          value
+        )}`,
+        "metadata.query"
+      );
+    }
+  });
+}
+
+/**
+ * Serialize body by its content type. An object is sent as JSON, or as form if `content-type` is `application/x-www-form-urlencoded`
+ */
+function serializeBody(body, headers) {
+  const contentType = _.find(
+    headers,
+    (value, name) => _.toLower(name) === "content-type"
+  );
+  if (
+    _.isPlainObject(body) &&
+    _.includes(_.toLower(contentType), "application/x-www-form-urlencoded")
+  ) {
+    const form = new URLSearchParams();
+    _.forEach(body, (value, name) => {
+      (_.isArray(value) ? value : [value]).forEach((item) =>
+        form.append(name, _.isObject(item) ? JSON.stringify(item) : item)
+      );
+    });
+    return form.toString();
+  }
+  return body;
+}
+
+/**
+ * Get http request of a task. By default it is `GET task.url`, task can overwrite it by:
+ * - `metadata.method`: http method, one of `GET`, `POST`, `PUT`, `PATCH`, `DELETE`, `HEAD` and `OPTIONS`
+ * - `metadata.headers`: http headers, like `{"content-type": "application/json"}`
+ * - `metadata.query`: query params, overwrite same params in `task.url`. Value can be an array, like `{"tag": ["a", "b"]}` is `tag=a&tag=b`
+ * - `metadata.body`: request body, cannot be used with `GET` or `HEAD`. An object is sent as JSON, or as form if `content-type` is `application/x-www-form-urlencoded`
+ *
+ * Set `metadata.template` to `true` to use template variables in strings of `task.url` and above fields, like `{{task.metadata.page}}`.
+ * Variables are `task.globalId`, `task.metadata`, `jobId` and `now`(milliseconds since epoch). If a string is only one template, value keeps its type.
+ * Other fields of task, like `task.retailer`, aren't variables, so they won't be sent to crawled sites
+ *
+ * @example
+ * task.metadata = {
+ *   template: true,
+ *   method: "POST",
+ *   headers: { "x-request-id": "{{task.globalId}}" },
+ *   query: { page: "{{task.metadata.page}}" },
+ *   body: { keyword: "{{task.metadata.keyword}}", from: "{{now}}" },
+ *   page: 2,
+ *   keyword: "bitsky",
+ * };
+ *
+ * @param {object} task - task need to collect
+ * @param {object} [variables] - additional template variables, like `{jobId}`. Only used when `metadata.template` is `true`
+ *
+ * @throws {TaskRequestError} if request is malformed
+ * @returns {object} - `{url, method, headers, data}`, can be passed to `http`
+ */
+function getTaskRequest(task, variables) {
+  const metadata = _.get(task, "metadata") || {};
+  // templates are opt-in, so a url contains `{{` is sent as it is
+  variables =
+    metadata.template === true
+      ? _.assign({ now: Date.now() }, variables, {
+          task: {
+            globalId: _.get(task, "globalId"),
+            metadata,
+          },
+        })
+      : undefined;
+
+  let url = render(_.get(task, "url"), variables, "url");
+  if (!_.isString(url) || !url) {
+    throw new TaskRequestError(
+      `url must be a non-empty string, but get ${JSON.stringify(url)}`,
+      "url"
+    );
+  }
+  let parsedURL;
+  try {
+    parsedURL = new URL(url);
+  } catch (err) {
+    throw new TaskRequestError(`url ${url} isn't a valid URL`, "url");
+  }
+
+  let method = "GET";
+  if (metadata.method !== undefined && metadata.method !== null) {
+    method = _.toUpper(render(metadata.method, variables, "metadata.method"));
+    if (!_.includes(METHODS, method)) {
+      throw new TaskRequestError(
+        `metadata.method must be one of ${METHODS.join(
+          ", "
+        )}, but get ${JSON.stringify(metadata.method)}`,
+        "metadata.method"
+      );
+    }
+  }
+
+  if (metadata.query !== undefined && metadata.query !== null) {
+    validateQuery(metadata.query);
+    const query = render(metadata.query, variables, "metadata.query");
+    validateQuery(query);
+    _.forEach(query, (value, name) => {
+      parsedURL.searchParams.delete(name);
+      (_.isArray(value) ? value : [value]).forEach((item) =>
+        parsedURL.searchParams.append(name, item)
+      );
+    });
+    // only normalized when query is merged, otherwise url is sent as it is
+    url = parsedURL.toString();
+  }
+
+  const request = {
+    url,
+    method,
+  };
+
+  if (metadata.headers !== undefined && metadata.headers !== null) {
+    validateHeaders(metadata.headers);
+    request.headers = render(metadata.headers, variables, "metadata.headers");
+    // rendered values are checked again, a variable may contain line breaks
+    validateHeaders(request.headers);
+  }
+
+  if (metadata.body !== undefined && metadata.body !== null) {
+    if (_.includes(NO_BODY_METHODS, method)) {
+      throw new TaskRequestError(
+        `metadata.body cannot be sent with ${method}, set metadata.method to POST, PUT or PATCH`,
+        "metadata.body"
+      );
+    }
+    request.data = serializeBody(
+      render(metadata.body, variables, "metadata.body"),
+      request.headers
+    );
+  }
+
+  return request;
+}
+
+module.exports = {
+  getTaskRequest,
+  TaskRequestError,
+};
@@ -0,0 +1,111 @@
+const _ = require("lodash");
+const constants = require("./constants");
+
+/**
+ * Convert a timeout value in seconds to milliseconds
+ * @param {*} value - timeout value, unit is second
+ * @param {number} defaultValue - default value in milliseconds, used when value is empty or invalid
+ * @param {string} name - field name, used in warning message
+ * @param {array} warnings - invalid value will push a warning message to it
+ *
+ * @returns {number} - milliseconds, between `MIN_TIMEOUT` and `MAX_TIMEOUT`
+ */
+function toTimeout(value, defaultValue, name, warnings) {
+  if (value === undefined || value === null || value === "") {
+    return defaultValue;
+  }
+  const seconds = Number(value);
+  if (!_.isFinite(seconds) || seconds <= 0) {
+    warnings.push(
+      `${name} must be a positive number (Unit: Second), but get ${JSON.stringify(
+        value
+      )}. Use default value ${defaultValue / 1000}`
+    );
+    return defaultValue;
+  }
+  let ms = seconds * 1000;
+  if (ms < constants.MIN_TIMEOUT || ms > constants.MAX_TIMEOUT) {
+    ms = _.clamp(ms, constants.MIN_TIMEOUT, constants.MAX_TIMEOUT);
+    warnings.push(
+      `${name} must between ${constants.MIN_TIMEOUT / 1000} and ${
+        constants.MAX_TIMEOUT / 1000
+      } seconds, but get ${value}. Use ${ms / 1000}`
+    );
+  }
+  return ms;
+}
+
+/**
+ * Get job, task and request timeout. Task's `metadata.taskTimeout` and `metadata.timeout` overwrite producer configuration
+ * @param {object} producerConfig - producer configuration get from BitSky. `jobTimeout`, `taskTimeout` and `timeout`, unit is second
+ * @param {object} [task] - task to collect
+ * @param {object} [logger] - if passed, warn invalid values
+ *
+ * @returns {object} - `{jobTimeout, taskTimeout, requestTimeout, serviceTimeout}`, unit is millisecond.
+ *   `requestTimeout` is for requests to crawled sites, it cannot be longer than `taskTimeout`.
+ *   `serviceTimeout` is for requests send to BitSky and Retailer, they don't belong to a task, so it isn't limited by `taskTimeout`
+ */
+function getTimeouts(producerConfig, task, logger) {
+  const warnings = [];
+  const jobTimeout = toTimeout(
+    _.get(producerConfig, "jobTimeout"),
+    constants.COLLECT_JOB_TIMEOUT,
+    "jobTimeout",
+    warnings
+  );
+  let taskTimeout = toTimeout(
+    _.get(producerConfig, "taskTimeout"),
+    constants.COLLECT_TASK_TIMEOUT,
+    "taskTimeout",
+    warnings
+  );
+  const serviceTimeout = toTimeout(
+    _.get(producerConfig, "timeout"),
+    constants.REQUEST_TIMEOUT,
+    "timeout",
+    warnings
+  );
+  let requestTimeout = serviceTimeout;
+  if (task) {
+    taskTimeout = toTimeout(
+      _.get(task, "metadata.taskTimeout"),
+      taskTimeout,
+      `task ${task.globalId} metadata.taskTimeout`,
+      warnings
+    );
+    requestTimeout = toTimeout(
+      _.get(task, "metadata.timeout"),
+      requestTimeout,
+      `task ${task.globalId} metadata.timeout`,
+      warnings
+    );
+  }
+
+  // a task cannot run longer than its job, and a request cannot run longer than its task
+  if (taskTimeout > jobTimeout) {
+    warnings.push(
+      `taskTimeout ${taskTimeout / 1000} is longer than jobTimeout ${
+        jobTimeout / 1000
+      }. Use ${jobTimeout / 1000}`
+    );
+    taskTimeout = jobTimeout;
+  }
+  if (requestTimeout > taskTimeout) {
+    requestTimeout = taskTimeout;
+  }
+
+  if (logger) {
+    warnings.forEach((warning) => logger.warn(warning));
+  }
+
+  return {
+    jobTimeout,
+    taskTimeout,
+    requestTimeout,
+    serviceTimeout,
+  };
+}
+
+module.exports = {
+  getTimeouts,
+};
@@ -1,6 +1,74 @@
 const _ = require("lodash");
 const http = require("../utils/http");
 const { setTasksToFail } = require("../utils");
+const { createTaskPool } = require("../utils/taskPool");
+const { getRetryPolicy, retryTask } = require("../utils/retry");
+const { CancelController } = require("../utils/cancellation");
+const { getTimeouts } = require("../utils/timeouts");
+const { getTaskRequest } = require("../utils/taskRequest");
+
+/**
+ * Collect a task. Request is `GET task.url` by default, task can overwrite method, headers, query and body by its metadata, see `utils/taskRequest.js`
+ * @param {object} task - task need to collect
+ * @param {object} options - same as `httpCrawler` options
+ *
+ * @returns {Promise} - resolve(task) when collect successful, otherwise reject(task)
+ */
+async function collectTask(task, options) {
+  const logger = _.get(options, "context.logger") || console;
+  const timeouts = getTimeouts(_.get(options, "producerConfig"), task);
+  // cancel this task when job is cancelled or task timeout
+  const controller = new CancelController()
+    .follow(_.get(options, "signal"))
+    .timeout(
+      timeouts.taskTimeout,
+      `collect task timeout after ${timeouts.taskTimeout} ms`,
+      "TASK_TIMEOUT"
+    );
+  try {
+    // malformed request fails the task without retry
+    const request = getTaskRequest(task, { jobId: _.get(options, "jobId") });
+    const policy = getRetryPolicy(_.get(options, "producerConfig"));
+    policy.signal = controller.signal;
+    policy.onRetry = (err, attempt, delay) => {
+      logger.warn(
+        `collect task fail, retry after ${delay} ms. globalId: ${task.globalId}, attempt: ${attempt}. Error: ${err.message}`,
+        { jobId: _.get(options, "jobId") }
+      );
+    };
+    const res = await retryTask(
+      task,
+      () =>
+        http(
+          _.assign({}, request, {
+            timeout: timeouts.requestTimeout,
+            signal: controller.signal,
+          }),
+          _.get(options, "context")
+        ),
+      policy
+    );
+    task.dataset = {
+      url: task.url,
+      data: {
+        contentType: "html",
+        content: res.data,
+      },
+    };
+    task.system.state = "FINISHED";
+    task.system.producer.endedAt = Date.now();
+    return task;
+  } catch (err) {
+    logger.error(
+      `collect task fail. globalId: ${task.globalId}. Error: ${err.message}`,
+      { error: err }
+    );
+    task = setTasksToFail(task, err);
+    throw task;
+  } finally {
+    controller.dispose();
+  }
+}
 
 /**
  *
@@ -8,44 +76,22 @@ const { setTasksToFail } = require("../utils");
  * @param {array} options.tasks - tasks need to collect
  * @param {string} options.jobId - Currently job id
  * @param {object} options.producerConfig - current producer's configuration
+ * @param {TaskPool} [options.taskPool] - pool to limit how many tasks are collected at the same time. Default create by `producerConfig.concurrent`
+ * @param {CancelSignal} [options.signal] - aborted when job is cancelled, like job timeout
  */
 async function httpCrawler(options) {
   const jobId = _.get(options, "jobId");
   const logger = _.get(options, "context.logger") || console;
   const tasks = _.get(options, "tasks");
   try {
+    const taskPool =
+      _.get(options, "taskPool") ||
+      createTaskPool(_.get(options, "producerConfig"));
     const promises = [];
     for (let i = 0; i < tasks.length; i++) {
       promises.push(
         ((task) => {
-          return new Promise(async (resolve, reject) => {
-            try {
-              const res = await http(
-                {
-                  url: task.url,
-                  method: "GET",
-                },
-                _.get(options, "context")
-              );
-              task.dataset = {
-                url: task.url,
-                data: {
-                  contentType: "html",
-                  content: res.data,
-                },
-              };
-              task.system.state = "FINISHED";
-              task.system.producer.endedAt = Date.now();
-              resolve(task);
-            } catch (err) {
-              logger.error(
-                `collect task fail. globalId: ${task.globalId}. Error: ${err.message}`,
-                { error: err }
-              );
-              task = setTasksToFail(task, err);
-              reject(task);
-            }
-          });
+          return taskPool.add(() => collectTask(task, options));
         })(tasks[i])
       );
     }